@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { BARRIER_FACTORS } from '../lib/interventions';
+import { BACKTEST_MODES, backtestYears, runBacktest } from '../lib/backtest';
+
+const MODE_COLORS = { structural: '#2563eb', trend: '#ef4444', flat: '#f59e0b' };
+
+const METRICS = [
+  { key: 'mae', label: 'MAE', format: (value) => value.toFixed(3) },
+  { key: 'rmse', label: 'RMSE', format: (value) => value.toFixed(3) },
+  { key: 'mape', label: 'MAPE', format: (value) => `${value.toFixed(1)}%` },
+  { key: 'bias', label: 'Bias', format: (value) => `${value >= 0 ? '+' : ''}${value.toFixed(3)}` },
+  { key: 'finalError', label: 'Final-year error', format: (value) => `${value >= 0 ? '+' : ''}${value.toFixed(3)}` }
+];
+
+// Restarts the structural model in a past year from that year's profile and scores it, with the data-driven
+// baselines for comparison, against the observed series
+const BacktestPanel = ({ country }) => {
+  const years = backtestYears(country);
+  const [startYear, setStartYear] = useState(years.includes(2010) ? 2010 : years[0]);
+
+  if (years.length === 0) return null;
+
+  const runs = Object.keys(BACKTEST_MODES).map(mode => runBacktest(country, startYear, { mode }));
+  const chartData = runs[0].points.map((point, index) => ({
+    year: point.year,
+    observed: point.observed,
+    ...Object.fromEntries(runs.map(run => [run.mode, run.points[index].projected]))
+  }));
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="backtest">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+        <h3 className="text-lg font-semibold">Backtest: {country.name}</h3>
+        <label className="text-sm flex items-center gap-2" data-report-ignore>
+          Start year
+          <select
+            value={startYear}
+            onChange={(e) => setStartYear(Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Starts the model in {startYear} with that year&apos;s TFR and barrier indices and projects to {runs[0].endYear}
+        without interventions. The structural model moves TFR by the country&apos;s barrier elasticities as the indices
+        change from their {startYear} values; the trend and flat baselines use only the TFR history up to {startYear}.
+        Errors are projected minus observed. Past barrier indices are model assumptions, not measured series.
+      </p>
+      <ResponsiveContainer width="100%" height={250}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis domain={['auto', 'auto']} />
+          <Tooltip />
+          <Legend />
+          <Line type="monotone" dataKey="observed" stroke="#111827" strokeWidth={2} name="Observed" />
+          {runs.map(run => (
+            <Line
+              key={run.mode}
+              type="monotone"
+              dataKey={run.mode}
+              stroke={MODE_COLORS[run.mode]}
+              strokeDasharray="5 5"
+              name={BACKTEST_MODES[run.mode]}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1 font-medium">Projection</th>
+              {METRICS.map(metric => <th key={metric.key} className="py-1 font-medium">{metric.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(run => (
+              <tr key={run.mode} className="border-t border-gray-100">
+                <td className="py-1 pr-2" style={{ color: MODE_COLORS[run.mode] }}>{BACKTEST_MODES[run.mode]}</td>
+                {METRICS.map(metric => (
+                  <td key={metric.key} className="py-1 pr-2">{metric.format(run.metrics[metric.key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th className="py-1 font-medium">Barrier index</th>
+              <th className="py-1 font-medium">{startYear}</th>
+              <th className="py-1 font-medium">{country.meta.year}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(BARRIER_FACTORS).map(factor => (
+              <tr key={factor} className="border-t border-gray-100">
+                <td className="py-1 pr-2">{BARRIER_FACTORS[factor]}</td>
+                <td className="py-1 pr-2">{runs[0].baseFactors[factor].toFixed(0)}</td>
+                <td className="py-1 pr-2">{country.baseFactors[factor]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default BacktestPanel;
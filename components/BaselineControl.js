@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BASELINE_MODES, normalizeBaseline } from '../lib/baseline';
+
+const tableText = (forecast = []) => forecast.map(row => `${row.year},${row.tfr}`).join('\n');
+
+const parseTable = (text) => normalizeBaseline({
+  mode: 'forecast',
+  forecast: text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [year, tfr] = line.split(/[,\t;]/);
+    return { year, tfr };
+  })
+});
+
+// Counterfactual baseline picker; forecast tables are pasted as "year,tfr" lines
+const BaselineControl = ({ baseline, onChange }) => {
+  const [text, setText] = useState(() => tableText(baseline.forecast));
+  const [error, setError] = useState(null);
+
+  // A forecast loaded from a link or scenario replaces the text unless it is what the text already says.
+  // The text is read through a ref so that typing does not rerun the check.
+  const textRef = useRef(text);
+  textRef.current = text;
+  useEffect(() => {
+    if (!baseline.forecast) return;
+    let current = null;
+    try {
+      current = tableText(parseTable(textRef.current).forecast);
+    } catch (err) {
+      // text is mid-edit
+    }
+    if (current !== tableText(baseline.forecast)) {
+      setText(tableText(baseline.forecast));
+      setError(null);
+    }
+  }, [baseline]);
+
+  const applyForecast = (value) => {
+    setText(value);
+    try {
+      onChange(parseTable(value));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectMode = (mode) => {
+    setError(null);
+    if (mode === 'forecast') {
+      applyForecast(text);
+    } else {
+      onChange({ mode });
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium mb-2" htmlFor="baseline-mode">Counterfactual Baseline</label>
+      <select
+        id="baseline-mode"
+        value={error ? 'forecast' : baseline.mode}
+        onChange={(e) => selectMode(e.target.value)}
+        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      >
+        {Object.keys(BASELINE_MODES).map(mode => (
+          <option key={mode} value={mode}>{BASELINE_MODES[mode]}</option>
+        ))}
+      </select>
+      {(baseline.mode === 'forecast' || error) && (
+        <>
+          <textarea
+            rows={4}
+            value={text}
+            onChange={(e) => applyForecast(e.target.value)}
+            placeholder={'2030,1.15\n2045,1.30'}
+            className="w-full mt-2 p-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Forecast table"
+          />
+          {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+        </>
+      )}
+      <p className="text-xs text-gray-600 mt-2">
+        Policy effects are measured against this path, flat at the current TFR by default. The trend carries the last ten years of each economy&apos;s
+        TFR forward, levelling off over time; forecast rows are interpolated between years.
+      </p>
+    </div>
+  );
+};
+
+export default BaselineControl;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Target } from 'lucide-react';
+import { defaultInterventions } from '../lib/simulator';
+import { createMixSearch, searchStep } from '../lib/optimizer';
+import { activeInterventions } from '../lib/interventions';
+
+const describeMix = (policies, interventions) => Object.keys(policies)
+  .filter(policy => policies[policy] > 0)
+  .map(policy => `${interventions[policy].name} ${policies[policy]}%`)
+  .join(', ') || 'No interventions';
+
+// Search rounds run in slices of about this many ms so the page stays responsive
+const SLICE_MS = 30;
+
+const BudgetOptimizer = ({ country, money, onApply, baseline, parameters, interventions = defaultInterventions }) => {
+  const [budget, setBudget] = useState(10);
+  const [optimization, setOptimization] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const timer = useRef(null);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const runOptimizer = () => {
+    clearTimeout(timer.current);
+    setError(null);
+    setSearching(true);
+    let search;
+    const fail = (err) => {
+      setOptimization(null);
+      setError(err.message);
+      setSearching(false);
+    };
+    const slice = () => {
+      try {
+        const started = Date.now();
+        let running = true;
+        while (running && Date.now() - started < SLICE_MS) running = search.advance();
+        if (running) {
+          timer.current = setTimeout(slice, 0);
+          return;
+        }
+        const result = search.result();
+        setOptimization(result);
+        setSearching(false);
+        if (result.best) {
+          onApply(result.best.policies);
+        }
+      } catch (err) {
+        fail(err);
+      }
+    };
+    try {
+      search = createMixSearch(country, Number(budget), { interventions, baseline, parameters });
+      timer.current = setTimeout(slice, 0);
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium mb-2">Budget Optimizer (annual operating budget, USD)</label>
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <span className="absolute left-3 top-2 text-gray-500">$</span>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            className="w-full pl-6 pr-8 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <span className="absolute right-3 top-2 text-gray-500">M</span>
+        </div>
+        <button
+          onClick={runOptimizer}
+          disabled={searching || !(Number(budget) >= 0)}
+          className="bg-indigo-600 text-white px-3 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1 transition-colors"
+        >
+          <Target size={16} />
+          {searching ? 'Searching...' : 'Optimize'}
+        </button>
+      </div>
+      <p className="text-xs text-gray-600 mt-2">
+        Searches slider settings (in {searchStep(Object.keys(activeInterventions(interventions)).length)}% steps) for the highest projected TFR within the budget and fills in the sliders.
+        Mixes are scored with the full projection, including each intervention&apos;s lag and ramp, and the search
+        climbs from no intervention, so it finds a strong mix rather than a guaranteed optimum.
+      </p>
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+      {optimization && optimization.best && (
+        <div className="mt-3 space-y-2">
+          <div className="text-xs bg-indigo-50 border border-indigo-200 rounded-lg p-2">
+            <p className="font-medium text-indigo-700">
+              Best: TFR {optimization.best.projectedTFR.toFixed(3)} for {money.format(optimization.best.totalCost)}/yr
+            </p>
+            <p className="text-gray-600">{describeMix(optimization.best.policies, interventions)}</p>
+          </div>
+          {optimization.runnersUp.length > 0 && (
+            <p className="text-xs font-medium text-gray-700">Runner-up allocations</p>
+          )}
+          {optimization.runnersUp.map((candidate, index) => (
+            <div key={index} className="text-xs border border-gray-200 rounded-lg p-2 flex justify-between items-start gap-2">
+              <div>
+                <p className="font-medium">
+                  TFR {candidate.projectedTFR.toFixed(3)} for {money.format(candidate.totalCost)}/yr
+                </p>
+                <p className="text-gray-600">{describeMix(candidate.policies, interventions)}</p>
+              </div>
+              <button
+                onClick={() => onApply(candidate.policies)}
+                className="text-indigo-600 hover:underline shrink-0"
+              >
+                Apply
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BudgetOptimizer;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { Upload, Sigma, Save, Trash2 } from 'lucide-react';
+import { calibrate, defaultEpisodes, EPISODES_NOTE, parseEpisodeFile, validateEpisodes } from '../lib/calibration';
+
+const BUNDLED_SOURCE = 'bundled illustrative episodes';
+
+const formatEstimate = (estimate) => {
+  const digits = estimate.key === 'saturationRate' ? 2 : 3;
+  const value = estimate.value.toFixed(digits);
+  return estimate.standardError === null ? value : `${value} ± ${estimate.standardError.toFixed(digits)}`;
+};
+
+// Fits maxImpact and the saturation rate to a table of past policy episodes, saves fits as named parameter
+// sets and picks the set the simulator runs with ('' runs the model defaults)
+const CalibrationPanel = ({ interventions, parameterSets, activeSetName, onSave, onSelect, onDelete, loadError }) => {
+  const [episodes, setEpisodes] = useState(defaultEpisodes);
+  const [source, setSource] = useState(BUNDLED_SOURCE);
+  const [fitSaturation, setFitSaturation] = useState(true);
+  const [fit, setFit] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setEpisodes(validateEpisodes(parseEpisodeFile(String(reader.result), file.name), interventions));
+        setSource(file.name);
+        setFit(null);
+        setError(null);
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      }
+    };
+    reader.onerror = () => setError(`${file.name} could not be read`);
+    reader.readAsText(file);
+  };
+
+  const runFit = () => {
+    try {
+      setFit(calibrate(episodes, { interventions, fitSaturation }));
+      setError(null);
+    } catch (err) {
+      setFit(null);
+      setError(err.message);
+    }
+  };
+
+  const save = () => {
+    const setName = name.trim();
+    if (parameterSets.some(set => set.name === setName) && !window.confirm(`Replace parameter set "${setName}"?`)) return;
+    onSave({ name: setName, parameters: fit.parameters });
+    setName('');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <h3 className="text-lg font-semibold mb-1">Calibration</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Fits each intervention&apos;s maxImpact and the saturation rate k to observed policy episodes by least squares.
+        Saved fits become parameter sets the simulator, optimizer and sensitivity analysis run with. The fit is of the
+        reduced-form model, which barely responds to these parameters under the structural model, so applying a set
+        switches the fertility model to reduced form. Switching back keeps only a rescaling of each fitted
+        intervention&apos;s barrier effect.
+      </p>
+      {loadError && (
+        <p className="text-xs text-red-600 mb-4">
+          Saved parameter sets could not be read ({loadError}); new sets will not be stored.
+        </p>
+      )}
+
+      <label className="block text-sm font-medium mb-2" htmlFor="parameter-set">Model Parameters</label>
+      <div className="flex gap-2 mb-4">
+        <select
+          id="parameter-set"
+          value={activeSetName}
+          onChange={(e) => onSelect(e.target.value)}
+          className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+        >
+          <option value="">Model defaults</option>
+          {parameterSets.map(set => <option key={set.name} value={set.name}>{set.name}</option>)}
+        </select>
+        {activeSetName && (
+          <button
+            onClick={() => {
+              if (window.confirm(`Delete parameter set "${activeSetName}"?`)) onDelete(activeSetName);
+            }}
+            aria-label={`Delete ${activeSetName}`}
+            className="px-2 text-gray-500 hover:text-red-600"
+          >
+            <Trash2 size={16} />
+          </button>
+        )}
+      </div>
+
+      <p className="text-sm mb-1">
+        {episodes.length} episodes from {source}
+        {source !== BUNDLED_SOURCE && (
+          <button
+            onClick={() => { setEpisodes(defaultEpisodes); setSource(BUNDLED_SOURCE); setFit(null); }}
+            className="ml-2 text-xs text-blue-600 hover:underline"
+          >
+            use bundled
+          </button>
+        )}
+      </p>
+      {source === BUNDLED_SOURCE && <p className="text-xs text-gray-500 mb-2">{EPISODES_NOTE}</p>}
+      <label className="w-full bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition flex items-center justify-center gap-2 cursor-pointer text-sm mb-2">
+        <Upload size={16} />
+        Load episodes (CSV or JSON)
+        <input type="file" accept=".csv,.json" onChange={handleFile} className="hidden" />
+      </label>
+      <p className="text-xs text-gray-600 mb-3">
+        Columns: intervention (catalogue key), intensity (0-100), tfrChange (long-run TFR change attributed to the
+        policy) and optional country, year, label and proxy.
+      </p>
+
+      <label className="flex items-center text-sm mb-3">
+        <input
+          type="checkbox"
+          checked={fitSaturation}
+          onChange={(e) => setFitSaturation(e.target.checked)}
+          className="w-4 h-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+        Fit saturation rate k (otherwise held at the model default)
+      </label>
+      <button
+        onClick={runFit}
+        className="w-full bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 flex items-center justify-center gap-1 transition-colors"
+      >
+        <Sigma size={16} />
+        Fit Parameters
+      </button>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+      {fit && (
+        <div className="mt-4">
+          <table className="w-full text-xs mb-2">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 font-medium">Parameter</th>
+                <th className="py-1 font-medium">Default</th>
+                <th className="py-1 font-medium">Fitted ± SE</th>
+                <th className="py-1 font-medium">n</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fit.estimates.map(estimate => (
+                <tr key={estimate.key} className="border-t border-gray-100">
+                  <td className="py-1 pr-2">{estimate.label}</td>
+                  <td className="py-1 pr-2 text-gray-500">{estimate.prior}</td>
+                  <td className={`py-1 pr-2 ${estimate.atBound ? 'text-amber-600' : ''}`}>
+                    {formatEstimate(estimate)}{estimate.atBound && ' (at bound)'}
+                  </td>
+                  <td className="py-1">{estimate.episodes}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-600 mb-3">
+            Residual SE {fit.residualStandardError.toFixed(4)} on {fit.degreesOfFreedom} degrees of freedom
+            {fit.rSquared !== null && `, R² ${fit.rSquared.toFixed(3)}`}
+            {!fit.converged && '. The fit did not converge; treat the values with caution'}.
+            Interventions without episodes keep their catalogue maxImpact.
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Parameter set name"
+              className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <button
+              onClick={save}
+              disabled={!name.trim()}
+              className="bg-blue-600 text-white px-3 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-1 transition-colors text-sm"
+            >
+              <Save size={16} />
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import ExportButtons from './ExportButtons';
+import { PRICE_BASE_YEAR } from '../lib/currency';
+import { FISCAL_ITEMS } from '../lib/fiscal';
+
+// Present values are in base-year prices whatever the price basis, so they format without a year
+const CostBenefitCard = ({ res, chartHeight, exportContext, money }) => {
+  const { costBenefit } = res;
+  const horizonEnd = res.costData[res.costData.length - 1].year;
+  const appraisalEnd = costBenefit.cashFlows[costBenefit.cashFlows.length - 1].year;
+  const stats = [
+    { label: 'Net present value', value: money.format(costBenefit.npv) },
+    { label: 'Benefit-cost ratio', value: costBenefit.benefitCostRatio === null ? 'n/a' : `${costBenefit.benefitCostRatio.toFixed(2)}` },
+    { label: 'Payback year', value: costBenefit.paybackYear || `Not by ${appraisalEnd}` },
+    { label: 'PV costs / benefits', value: `${money.format(costBenefit.presentCosts)} / ${money.format(costBenefit.presentBenefits)}` }
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="cashflow">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+        <h3 className="text-lg font-semibold">Cost-Benefit Analysis</h3>
+        <ExportButtons exportContext={exportContext} tables={['cashflow']} />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Discounted at {costBenefit.discountRate}% a year (real) to {res.costData[0].year}, in {money.currency} at {PRICE_BASE_YEAR} prices,
+        through {appraisalEnd}. Benefits are the change in the net fiscal balance; costs include capital spent on
+        scale-up and annual operating costs, continued at the {horizonEnd} level after {horizonEnd}. Fiscal effects
+        after {appraisalEnd} are not counted.
+      </p>
+      <p className="text-xs text-gray-500 mb-4">
+        Benefits are a net fiscal return, not the policy&apos;s wider value. Extra children add to education and
+        healthcare spending years before they work and pay tax, and mothers who leave work after a birth pay less
+        income tax, so by {appraisalEnd} the return can be negative and so can the ratio. Present value of each
+        part of the balance change (positive improves the balance):
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        {Object.keys(FISCAL_ITEMS).map(item => (
+          <div key={item}>
+            <p className="text-xs text-gray-600">{FISCAL_ITEMS[item].label}</p>
+            <p className={`text-sm font-semibold ${costBenefit.presentBenefitItems[item] < 0 ? 'text-red-600' : ''}`}>
+              {money.format(costBenefit.presentBenefitItems[item])}
+            </p>
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {stats.map(stat => (
+          <div key={stat.label}>
+            <p className="text-xs text-gray-600">{stat.label}</p>
+            <p className="text-sm md:text-base font-semibold">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={chartHeight}>
+        <ComposedChart data={costBenefit.cashFlows.map(flow => ({
+          year: flow.year,
+          discountedNet: money.toUnits(flow.discountedNet),
+          cumulativeDiscountedNet: money.toUnits(flow.cumulativeDiscountedNet)
+        }))}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis tickFormatter={money.formatUnits} width={80} />
+          <Tooltip formatter={money.formatUnits} />
+          <Legend />
+          <ReferenceLine y={0} stroke="#6b7280" />
+          <Bar dataKey="discountedNet" fill="#a78bfa" name="Discounted net flow" />
+          <Line type="monotone" dataKey="cumulativeDiscountedNet" stroke="#7c3aed" strokeWidth={3} name="Cumulative (NPV to date)" />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default CostBenefitCard;
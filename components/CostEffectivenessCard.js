@@ -0,0 +1,78 @@
+import React from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import ExportButtons from './ExportButtons';
+import { INTERVENTION_CATEGORIES, interventionCategory } from '../lib/interventions';
+
+const CATEGORY_COLORS = { ai: '#3b82f6', conventional: '#f59e0b' };
+
+// AI vs conventional levers side by side, on discounted costs and the benefits attributed to each
+const CostEffectivenessCard = ({ res, exportContext, money }) => {
+  const { byPolicy, byCategory } = res.costEffectiveness;
+  const funded = Object.keys(byPolicy).filter(policy => byPolicy[policy].presentCosts > 0);
+  const chartData = funded
+    .filter(policy => byPolicy[policy].costPerTfrHundredth !== null)
+    .map(policy => ({
+      name: res.interventions[policy].name,
+      category: interventionCategory(res.interventions[policy]),
+      cost: money.toUnits(byPolicy[policy].costPerTfrHundredth)
+    }))
+    .sort((a, b) => a.cost - b.cost);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="effectiveness">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+        <h3 className="text-lg font-semibold">AI vs Conventional Cost-Effectiveness</h3>
+        <ExportButtons exportContext={exportContext} tables={['effectiveness']} />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Present-value costs at {res.costBenefit.discountRate}% ({money.label}). Benefits are shared out by each
+        lever&apos;s share of the discounted TFR gain; TFR gain is the contribution in {res.costData[res.costData.length - 1].year}.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {Object.keys(INTERVENTION_CATEGORIES).map(category => {
+          const summary = byCategory[category];
+          const used = summary.presentCosts > 0;
+          return (
+            <div key={category} className="border rounded-lg p-3" style={{ borderColor: CATEGORY_COLORS[category] }}>
+              <h4 className="font-medium mb-2" style={{ color: CATEGORY_COLORS[category] }}>{INTERVENTION_CATEGORIES[category]}</h4>
+              {used ? (
+                <dl className="grid grid-cols-2 gap-y-1 text-sm">
+                  <dt className="text-gray-600">PV cost</dt>
+                  <dd className="font-medium">{money.format(summary.presentCosts)}</dd>
+                  <dt className="text-gray-600">TFR gain</dt>
+                  <dd className="font-medium">+{summary.tfrGain.toFixed(3)}</dd>
+                  <dt className="text-gray-600">Cost per +0.01 TFR</dt>
+                  <dd className="font-medium">{summary.costPerTfrHundredth === null ? 'n/a' : money.format(summary.costPerTfrHundredth)}</dd>
+                  <dt className="text-gray-600">Benefit-cost ratio</dt>
+                  <dd className="font-medium">{summary.benefitCostRatio === null ? 'n/a' : `${summary.benefitCostRatio.toFixed(1)}x`}</dd>
+                </dl>
+              ) : (
+                <p className="text-sm text-gray-500">None funded in this scenario</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {chartData.length > 0 && (
+        <>
+          <h4 className="font-medium text-sm mb-2">Cost per +0.01 TFR by lever (lower is better)</h4>
+          <ResponsiveContainer width="100%" height={40 + chartData.length * 32}>
+            <BarChart data={chartData} layout="vertical" margin={{ left: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" tickFormatter={money.formatUnits} />
+              <YAxis type="category" dataKey="name" width={180} tick={{ fontSize: 11 }} />
+              <Tooltip formatter={money.formatUnits} />
+              <Bar dataKey="cost" name="Cost per +0.01 TFR">
+                {chartData.map(entry => (
+                  <Cell key={entry.name} fill={CATEGORY_COLORS[entry.category]} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CostEffectivenessCard;
@@ -0,0 +1,34 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { exportResults } from '../lib/exportResults';
+
+const FORMATS = ['csv', 'json', 'xlsx'];
+
+// Compact CSV / JSON / XLSX download buttons for a results card or the whole panel
+const ExportButtons = ({ exportContext, tables, label }) => {
+  const [error, setError] = useState(null);
+
+  const handleExport = (format) => {
+    setError(null);
+    exportResults({ ...exportContext, tables, format }).catch(err => setError(err.message));
+  };
+
+  return (
+    <div className="flex items-center gap-1 text-xs text-gray-500" data-report-ignore>
+      <Download size={14} />
+      {label && <span className="mr-1">{label}</span>}
+      {FORMATS.map(format => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          className="px-2 py-1 rounded border border-gray-200 hover:bg-gray-100 uppercase"
+        >
+          {format}
+        </button>
+      ))}
+      {error && <span className="text-red-600 ml-1">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportButtons;
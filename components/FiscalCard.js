@@ -0,0 +1,70 @@
+import React from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import ExportButtons from './ExportButtons';
+import { FISCAL_ITEMS } from '../lib/fiscal';
+import { LABOUR_MILESTONES } from '../lib/labour';
+
+const ITEM_COLORS = {
+  incomeTax: '#10b981',
+  consumptionTax: '#84cc16',
+  pensions: '#f59e0b',
+  healthcare: '#ef4444',
+  education: '#3b82f6'
+};
+
+// Scenario minus baseline for each revenue and spending item, stacked by its effect on the net fiscal balance
+const FiscalCard = ({ res, chartHeight, exportContext, money }) => {
+  const { fiscalData, costBenefit } = res;
+  const stats = [
+    ...LABOUR_MILESTONES.map(year => {
+      const point = fiscalData.find(entry => entry.year === year);
+      return { label: `Balance change in ${year}`, value: money.format(point.balanceChange, year) };
+    }),
+    { label: 'Present value of balance change', value: money.format(costBenefit.presentBenefits) }
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="fiscal">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+        <h3 className="text-lg font-semibold">Fiscal Balance Effect</h3>
+        <ExportButtons exportContext={exportContext} tables={['fiscal']} />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Change in income and consumption tax revenue and in pension, healthcare and education spending against the
+        baseline, from each item&apos;s base-year share of GDP spread over the people it depends on. Positive bars
+        improve the balance. This is the benefit side of the cost-benefit analysis.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {stats.map(stat => (
+          <div key={stat.label}>
+            <p className="text-xs text-gray-600">{stat.label}</p>
+            <p className="text-sm md:text-base font-semibold">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={chartHeight}>
+        <ComposedChart
+          stackOffset="sign"
+          data={fiscalData.map(point => ({
+            year: point.year,
+            ...Object.fromEntries(Object.keys(FISCAL_ITEMS).map(item => [item, money.toUnits(point[item], point.year)])),
+            balanceChange: money.toUnits(point.balanceChange, point.year)
+          }))}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis tickFormatter={money.formatUnits} width={80} />
+          <Tooltip formatter={money.formatUnits} />
+          <Legend />
+          <ReferenceLine y={0} stroke="#6b7280" />
+          {Object.keys(FISCAL_ITEMS).map(item => (
+            <Bar key={item} dataKey={item} stackId="items" fill={ITEM_COLORS[item]} name={FISCAL_ITEMS[item].label} />
+          ))}
+          <Line type="monotone" dataKey="balanceChange" stroke="#111827" strokeWidth={2} dot={false} name="Net balance change" />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default FiscalCard;
@@ -0,0 +1,293 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Copy, Trash2, RotateCcw } from 'lucide-react';
+import {
+  BARRIER_FACTORS,
+  INTERVENTION_CATEGORIES,
+  RESPONSE_SHAPES,
+  interventionCategory,
+  createIntervention,
+  cloneIntervention,
+  interventionKey,
+  defaultImpactDistribution,
+  validateCatalogue,
+  validateStructuralCatalogue
+} from '../lib/interventions';
+
+// maxImpact only sets the effect size in the reduced-form model; the structural model works from barrier strength
+const NUMBER_FIELDS = [
+  { key: 'maxImpact', label: 'Max TFR impact at 100%', step: '0.01', reducedOnly: true },
+  { key: 'barrierStrength', label: 'Barrier strength (structural model)', step: '0.1' },
+  { key: 'costPerPoint', label: 'Operating cost per point (USD/yr)', step: '1000' },
+  { key: 'capitalCostPerPoint', label: 'Setup cost per point (USD)', step: '1000' }
+];
+
+const RESPONSE_FIELDS = [
+  { key: 'lag', label: 'Lag (years)', step: '1' },
+  { key: 'rampYears', label: 'Ramp (years)', step: '1' },
+  { key: 'decay', label: 'Decay per year', step: '0.005' }
+];
+
+const MOTHERHOOD_FIELDS = [
+  { key: 'retention', label: 'Mothers retained in work (+pts)', step: '1' },
+  { key: 'wagePenalty', label: 'Wage penalty cut (pts)', step: '1' }
+];
+
+// Numbers are edited as text so partly typed values survive
+const toDraft = (intervention) => ({
+  ...intervention,
+  category: interventionCategory(intervention),
+  ...Object.fromEntries(NUMBER_FIELDS.map(field => [field.key, String(intervention[field.key])])),
+  barrierStrength: String(intervention.barrierStrength === undefined ? 1 : intervention.barrierStrength),
+  response: {
+    ...intervention.response,
+    ...Object.fromEntries(RESPONSE_FIELDS.map(field => [field.key, String(intervention.response[field.key])]))
+  },
+  motherhood: Object.fromEntries(MOTHERHOOD_FIELDS.map(field => [
+    field.key,
+    String(intervention.motherhood ? intervention.motherhood[field.key] : 0)
+  ]))
+});
+
+// A changed maxImpact gets a matching Monte Carlo prior; otherwise the existing one is kept
+const fromDraft = (draft, original) => {
+  const maxImpact = Number(draft.maxImpact);
+  return {
+    ...draft,
+    name: draft.name.trim(),
+    maxImpact,
+    barrierStrength: Number(draft.barrierStrength),
+    costPerPoint: Number(draft.costPerPoint),
+    capitalCostPerPoint: Number(draft.capitalCostPerPoint),
+    impactDistribution: original && original.maxImpact === maxImpact
+      ? original.impactDistribution
+      : defaultImpactDistribution(maxImpact),
+    response: {
+      ...draft.response,
+      ...Object.fromEntries(RESPONSE_FIELDS.map(field => [field.key, Number(draft.response[field.key])]))
+    },
+    motherhood: Object.fromEntries(MOTHERHOOD_FIELDS.map(field => [field.key, Number(draft.motherhood[field.key])]))
+  };
+};
+
+const inputClass = 'w-full p-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// Add, edit, clone, disable or remove interventions; `onReset` restores the bundled catalogue
+const InterventionEditor = ({ interventions, fertilityModel, onChange, onReset, loadError }) => {
+  const structural = fertilityModel !== 'reduced';
+  const [editing, setEditing] = useState(null); // { key, draft, isNew }
+  const [error, setError] = useState(null);
+
+  const startEdit = (key, intervention, isNew = false) => {
+    setEditing({ key, draft: toDraft(intervention), isNew });
+    setError(null);
+  };
+
+  const updateDraft = (changes) => setEditing({ ...editing, draft: { ...editing.draft, ...changes } });
+
+  const toggleFactor = (factor) => {
+    const { factors } = editing.draft;
+    updateDraft({ factors: factors.includes(factor) ? factors.filter(f => f !== factor) : [...factors, factor] });
+  };
+
+  const save = () => {
+    const entry = fromDraft(editing.draft, editing.isNew ? null : interventions[editing.key]);
+    const key = editing.isNew ? interventionKey(entry.name, interventions) : editing.key;
+    try {
+      if (!entry.name) throw new Error('Name is required');
+      validateCatalogue({ [key]: entry });
+      if (structural) validateStructuralCatalogue({ [key]: entry });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    onChange({ ...interventions, [key]: entry });
+    setEditing(null);
+  };
+
+  const remove = (key) => {
+    if (window.confirm(`Remove "${interventions[key].name}"?`)) {
+      onChange(Object.fromEntries(Object.entries(interventions).filter(([entryKey]) => entryKey !== key)));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <h3 className="text-lg font-semibold mb-1">Intervention Catalogue</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Edits apply to the sliders, optimizer and every chart, and are kept in this browser. Disabled entries stay in
+        the catalogue but are left out of simulations.
+        {structural && ' Under the structural model an intervention acts through the barriers it addresses and its motherhood effect, so it needs at least one of them; switch to the reduced-form model to edit Max TFR impact.'}
+      </p>
+      {loadError && (
+        <p className="text-xs text-red-600 mb-4">
+          The saved catalogue could not be read ({loadError}), so the bundled one is in use and edits will not be stored.
+        </p>
+      )}
+
+      <ul className="space-y-2 mb-4">
+        {Object.keys(interventions).map(key => (
+          <li key={key} className="flex items-center justify-between gap-2 text-sm border border-gray-200 rounded-lg p-2">
+            <label className="flex items-center gap-2 min-w-0">
+              <input
+                type="checkbox"
+                checked={!interventions[key].disabled}
+                onChange={(e) => onChange({ ...interventions, [key]: { ...interventions[key], disabled: !e.target.checked } })}
+                className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                aria-label={`Enable ${interventions[key].name}`}
+              />
+              <span className={`truncate ${interventions[key].disabled ? 'text-gray-400 line-through' : ''}`}>
+                {interventions[key].name}
+              </span>
+            </label>
+            <div className="flex gap-2 text-gray-500 shrink-0">
+              <button onClick={() => startEdit(key, interventions[key])} aria-label={`Edit ${interventions[key].name}`} className="hover:text-blue-600">
+                <Pencil size={14} />
+              </button>
+              <button
+                onClick={() => startEdit(null, cloneIntervention(interventions[key]), true)}
+                aria-label={`Clone ${interventions[key].name}`}
+                className="hover:text-blue-600"
+              >
+                <Copy size={14} />
+              </button>
+              {interventions[key].custom && (
+                <button onClick={() => remove(key)} aria-label={`Remove ${interventions[key].name}`} className="hover:text-red-600">
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {editing ? (
+        <div className="space-y-2 text-sm border border-blue-200 bg-blue-50 rounded-lg p-3">
+          <label className="block">
+            <span className="block text-xs font-medium mb-1">Name</span>
+            <input type="text" value={editing.draft.name} onChange={(e) => updateDraft({ name: e.target.value })} className={inputClass} />
+          </label>
+          <label className="block">
+            <span className="block text-xs font-medium mb-1">Type</span>
+            <select value={editing.draft.category} onChange={(e) => updateDraft({ category: e.target.value })} className={inputClass}>
+              {Object.keys(INTERVENTION_CATEGORIES).map(category => (
+                <option key={category} value={category}>{INTERVENTION_CATEGORIES[category]}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="block text-xs font-medium mb-1">Description</span>
+            <textarea
+              rows={2}
+              value={editing.draft.description}
+              onChange={(e) => updateDraft({ description: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          {NUMBER_FIELDS.filter(field => !(structural && field.reducedOnly)).map(field => (
+            <label key={field.key} className="block">
+              <span className="block text-xs font-medium mb-1">{field.label}</span>
+              <input
+                type="number"
+                min="0"
+                step={field.step}
+                value={editing.draft[field.key]}
+                onChange={(e) => updateDraft({ [field.key]: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+          ))}
+          <div>
+            <span className="block text-xs font-medium mb-1">Barriers addressed</span>
+            <div className="grid grid-cols-2 gap-1">
+              {Object.keys(BARRIER_FACTORS).map(factor => (
+                <label key={factor} className="flex items-center text-xs">
+                  <input
+                    type="checkbox"
+                    checked={editing.draft.factors.includes(factor)}
+                    onChange={() => toggleFactor(factor)}
+                    className="w-4 h-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  {BARRIER_FACTORS[factor]}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <label className="block">
+              <span className="block text-xs font-medium mb-1">Ramp shape</span>
+              <select
+                value={editing.draft.response.shape}
+                onChange={(e) => updateDraft({ response: { ...editing.draft.response, shape: e.target.value } })}
+                className={inputClass}
+              >
+                {RESPONSE_SHAPES.map(shape => <option key={shape} value={shape}>{shape}</option>)}
+              </select>
+            </label>
+            {RESPONSE_FIELDS.map(field => (
+              <label key={field.key} className="block">
+                <span className="block text-xs font-medium mb-1">{field.label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  value={editing.draft.response[field.key]}
+                  onChange={(e) => updateDraft({ response: { ...editing.draft.response, [field.key]: e.target.value } })}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+          <div>
+            <span className="block text-xs font-medium mb-1">Motherhood penalty at 100%</span>
+            <div className="grid grid-cols-2 gap-2">
+              {MOTHERHOOD_FIELDS.map(field => (
+                <label key={field.key} className="block">
+                  <span className="block text-xs mb-1">{field.label}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step={field.step}
+                    value={editing.draft.motherhood[field.key]}
+                    onChange={(e) => updateDraft({ motherhood: { ...editing.draft.motherhood, [field.key]: e.target.value } })}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <div className="flex gap-2">
+            <button onClick={save} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition-colors">
+              {editing.isNew ? 'Add' : 'Save'}
+            </button>
+            <button onClick={() => setEditing(null)} className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            onClick={() => startEdit(null, createIntervention({ name: 'New intervention' }), true)}
+            className="bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 flex items-center justify-center gap-1 transition-colors text-sm"
+          >
+            <Plus size={16} />
+            Add
+          </button>
+          <button
+            onClick={() => {
+              if (window.confirm('Restore the bundled interventions? Custom entries will be removed.')) onReset();
+            }}
+            className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 flex items-center justify-center gap-1 transition text-sm"
+          >
+            <RotateCcw size={16} />
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InterventionEditor;
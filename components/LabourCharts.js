@@ -0,0 +1,92 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import ExportButtons from './ExportButtons';
+import { LABOUR_INDICATORS, LABOUR_MILESTONES, seriesKey } from '../lib/labour';
+
+const CHARTS = [
+  { key: 'oldAgeDependency', title: 'Old-Age Dependency Ratio', axis: (value) => value.toFixed(0) },
+  { key: 'labourForce', title: 'Labour Force (millions)', axis: (value) => `${value.toFixed(0)}M` }
+];
+
+const formatValue = (key, value) => {
+  const { unit, digits } = LABOUR_INDICATORS[key];
+  return `${value.toFixed(digits)}${unit}`;
+};
+
+const formatChange = (key, value) => `${value >= 0 ? '+' : '-'}${formatValue(key, Math.abs(value))}`;
+
+// Baseline vs scenario age-structure indicators out to the long-run year, with the change at each milestone
+const LabourCharts = ({ res, chartHeight, exportContext }) => {
+  const horizonYear = res.projectionData[res.projectionData.length - 1].year;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="labour">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+        <h3 className="text-lg font-semibold">Dependency and Labour Force to {LABOUR_MILESTONES[LABOUR_MILESTONES.length - 1]}</h3>
+        <ExportButtons exportContext={exportContext} tables={['labour']} />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        From the cohort projection, with both TFR paths held at their {horizonYear} level afterwards. The labour force
+        applies current male and female participation rates to the population aged 15-64.
+      </p>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {CHARTS.map(chart => (
+          <div key={chart.key}>
+            <h4 className="font-medium mb-2 text-sm">{chart.title}</h4>
+            <ResponsiveContainer width="100%" height={chartHeight - 50}>
+              <LineChart data={res.labourData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis domain={['auto', 'auto']} tickFormatter={chart.axis} />
+                <Tooltip formatter={(value) => formatValue(chart.key, value)} />
+                <Legend />
+                <ReferenceLine x={horizonYear} stroke="#9ca3af" strokeDasharray="3 3" />
+                <Line
+                  type="monotone"
+                  dataKey={seriesKey('baseline', chart.key)}
+                  stroke="#ef4444"
+                  strokeDasharray="5 5"
+                  dot={false}
+                  name="Baseline"
+                />
+                <Line
+                  type="monotone"
+                  dataKey={seriesKey('projected', chart.key)}
+                  stroke="#3b82f6"
+                  strokeWidth={2}
+                  dot={false}
+                  name="With Interventions"
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ))}
+      </div>
+      <table className="w-full text-xs mt-4">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1 font-medium">Indicator</th>
+            {res.labourMilestones.map(milestone => (
+              <th key={milestone.year} className="py-1 font-medium">{milestone.year}: baseline / scenario (change)</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(LABOUR_INDICATORS).map(key => (
+            <tr key={key} className="border-t border-gray-100">
+              <td className="py-1 pr-2">{LABOUR_INDICATORS[key].label}</td>
+              {res.labourMilestones.map(milestone => (
+                <td key={milestone.year} className="py-1 pr-2">
+                  {formatValue(key, milestone[key].baseline)} / {formatValue(key, milestone[key].projected)}
+                  {' '}({formatChange(key, milestone[key].change)})
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default LabourCharts;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import ExportButtons from './ExportButtons';
+import { LABOUR_MILESTONES } from '../lib/labour';
+
+const formatShift = (before, after) => `${before.toFixed(0)}% to ${after.toFixed(0)}%`;
+
+// Female participation with and without the scenario, and the motherhood penalty that drives it
+const ParticipationCard = ({ res, chartHeight, exportContext, money }) => {
+  const { motherhood, labourData, fiscalData } = res;
+  const horizonYear = res.projectionData[res.projectionData.length - 1].year;
+  const stats = [
+    { label: `Mothers retained in work by ${horizonYear}`, value: formatShift(motherhood.baseline.retention, motherhood.projected.retention) },
+    { label: `Motherhood wage penalty by ${horizonYear}`, value: formatShift(motherhood.baseline.wagePenalty, motherhood.projected.wagePenalty) },
+    ...LABOUR_MILESTONES.map(year => {
+      const point = fiscalData.find(entry => entry.year === year);
+      return { label: `GDP change in ${year}`, value: money.format(point.gdpChange, year) };
+    })
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="participation">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+        <h3 className="text-lg font-semibold">Female Participation and Motherhood Penalty</h3>
+        <ExportButtons exportContext={exportContext} tables={['participation']} />
+      </div>
+      <p className="text-xs text-gray-500 mb-4">
+        Share of women aged 15-64 in the labour force. Mothers of children under five stay in work at the retention
+        rate and earn less by the wage penalty; workplace interventions raise one and cut the other. More births
+        also mean more mothers of young children. GDP and income tax follow earnings-weighted employment.
+      </p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {stats.map(stat => (
+          <div key={stat.label}>
+            <p className="text-xs text-gray-600">{stat.label}</p>
+            <p className="text-sm md:text-base font-semibold">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={chartHeight}>
+        <LineChart data={labourData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="year" />
+          <YAxis domain={['auto', 'auto']} tickFormatter={(value) => `${value.toFixed(0)}%`} />
+          <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+          <Legend />
+          <ReferenceLine x={horizonYear} stroke="#9ca3af" strokeDasharray="3 3" />
+          <Line type="monotone" dataKey="baselineFemaleParticipation" stroke="#ef4444" strokeDasharray="5 5" dot={false} name="Baseline" />
+          <Line type="monotone" dataKey="projectedFemaleParticipation" stroke="#3b82f6" strokeWidth={2} dot={false} name="With Interventions" />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default ParticipationCard;
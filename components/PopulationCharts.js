@@ -0,0 +1,68 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar } from 'recharts';
+import ExportButtons from './ExportButtons';
+
+const formatMillions = (value) => `${Math.abs(value).toFixed(2)}M`;
+
+const PopulationCharts = ({ res, chartHeight, exportContext }) => {
+  const finalYear = res.populationData[res.populationData.length - 1].year;
+
+  return (
+    <>
+      {/* Births per Year */}
+      <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="births">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+          <h3 className="text-lg font-semibold">Total Births per Year</h3>
+          <ExportButtons exportContext={exportContext} tables={['population']} />
+        </div>
+        <ResponsiveContainer width="100%" height={chartHeight}>
+          <LineChart data={res.populationData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" />
+            <YAxis tickFormatter={(value) => `${Math.round(value / 1000)}k`} />
+            <Tooltip formatter={(value) => value.toLocaleString()} />
+            <Legend />
+            <Line
+              type="monotone"
+              dataKey="baselineBirths"
+              stroke="#ef4444"
+              strokeDasharray="5 5"
+              name="Baseline"
+            />
+            <Line
+              type="monotone"
+              dataKey="projectedBirths"
+              stroke="#3b82f6"
+              strokeWidth={3}
+              name="With Interventions"
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Population Pyramid */}
+      <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="pyramid">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+          <h3 className="text-lg font-semibold">Population Pyramid, {finalYear}</h3>
+          <ExportButtons exportContext={exportContext} tables={['pyramid']} />
+        </div>
+        <p className="text-xs text-gray-500 mb-4">Males left, females right (millions)</p>
+        <ResponsiveContainer width="100%" height={chartHeight + 100}>
+          <BarChart data={res.populationPyramid} layout="vertical" stackOffset="sign" barGap={0}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" tickFormatter={formatMillions} />
+            <YAxis type="category" dataKey="age" width={50} />
+            <Tooltip formatter={formatMillions} />
+            <Legend />
+            <Bar dataKey="baselineMale" stackId="baseline" fill="#fca5a5" name="Baseline (male)" />
+            <Bar dataKey="baselineFemale" stackId="baseline" fill="#f87171" name="Baseline (female)" />
+            <Bar dataKey="projectedMale" stackId="projected" fill="#93c5fd" name="With AI (male)" />
+            <Bar dataKey="projectedFemale" stackId="projected" fill="#3b82f6" name="With AI (female)" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </>
+  );
+};
+
+export default PopulationCharts;
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { parseProfileFile } from '../lib/profileImport';
+
+const ProfileImport = ({ onImport }) => {
+  const [status, setStatus] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { profiles, errors } = parseProfileFile(String(reader.result), file.name);
+      if (profiles.length > 0) {
+        onImport(profiles);
+      }
+      setStatus({ fileName: file.name, imported: profiles.map(entry => entry.profile.name), errors });
+    };
+    reader.onerror = () => {
+      setStatus({ fileName: file.name, imported: [], errors: [{ record: file.name, path: 'file', message: 'could not be read' }] });
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium mb-2">Import Custom Profile</label>
+      <label className="w-full bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition flex items-center justify-center gap-2 cursor-pointer">
+        <Upload size={16} />
+        Choose CSV or JSON file
+        <input type="file" accept=".csv,.json" onChange={handleFile} className="hidden" />
+      </label>
+      <p className="text-xs text-gray-600 mt-2">
+        Columns: name, baseTFR, educationCost, workLifeBalance, childcareCost, housingCost, population, gdpPerCapita,
+        femaleParticipation, plus optional maleParticipation and cohortTemplate (a bundled country key). JSON files use
+        the nested baseFactors/demographics shape. Imported profiles last for this session.
+      </p>
+
+      {status && status.imported.length > 0 && (
+        <p className="mt-2 text-xs text-green-700">
+          Added {status.imported.join(', ')} from {status.fileName}
+        </p>
+      )}
+      {status && status.errors.length > 0 && (
+        <div className="mt-2 text-xs bg-red-50 border border-red-200 rounded-lg p-2">
+          <p className="font-medium text-red-700 mb-1">Problems in {status.fileName}</p>
+          <ul className="space-y-1 text-gray-700">
+            {status.errors.map((error, index) => (
+              <li key={index}>• {error.record}: {error.path} {error.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileImport;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { CalendarRange, Plus, X } from 'lucide-react';
+import { PROJECTION_START_YEAR } from '../lib/simulator';
+import { LAST_PROJECTION_YEAR } from '../lib/schedule';
+
+const YEARS = Array.from({ length: LAST_PROJECTION_YEAR - PROJECTION_START_YEAR + 1 }, (_, index) => PROJECTION_START_YEAR + index);
+
+const sortSteps = (steps) => [...steps].sort((a, b) => a.year - b.year);
+
+// Year-by-year intensity steps for one intervention; `steps` is undefined while it runs at its slider value
+const RolloutSchedule = ({ steps, intensity, onChange }) => {
+  const updateStep = (index, field, value) => {
+    onChange(sortSteps(steps.map((step, i) => (i === index ? { ...step, [field]: value } : step))));
+  };
+
+  const addStep = () => {
+    const lastYear = steps[steps.length - 1].year;
+    const year = YEARS.find(candidate => candidate > lastYear && !steps.some(step => step.year === candidate));
+    if (year) {
+      onChange([...steps, { year, intensity: 0 }]);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <label className="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={Boolean(steps)}
+          onChange={(e) => onChange(e.target.checked ? [{ year: PROJECTION_START_YEAR, intensity }] : null)}
+        />
+        <CalendarRange size={14} />
+        Phase in over time
+      </label>
+
+      {steps && (
+        <div className="mt-2 space-y-1">
+          {steps.map((step, index) => (
+            <div key={index} className="flex items-center gap-2 text-xs">
+              <select
+                value={step.year}
+                onChange={(e) => updateStep(index, 'year', parseInt(e.target.value))}
+                className="p-1 border border-gray-300 rounded"
+                aria-label="Step year"
+              >
+                {YEARS.map(year => (
+                  <option key={year} value={year}>from {year}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="5"
+                value={step.intensity}
+                onChange={(e) => updateStep(index, 'intensity', Math.min(100, Math.max(0, Number(e.target.value))))}
+                className="w-16 p-1 border border-gray-300 rounded"
+                aria-label="Step intensity"
+              />
+              <span className="text-gray-500">%</span>
+              {steps.length > 1 && (
+                <button onClick={() => onChange(steps.filter((_, i) => i !== index))} className="text-gray-400 hover:text-red-600" aria-label="Remove step">
+                  <X size={14} />
+                </button>
+              )}
+            </div>
+          ))}
+          <button onClick={addStep} className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800">
+            <Plus size={12} />
+            Add step
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RolloutSchedule;
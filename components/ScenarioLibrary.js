@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { Save, Download, Upload, Copy, Trash2, Pencil, FolderOpen } from 'lucide-react';
+import {
+  createScenario,
+  renameScenario,
+  duplicateScenario,
+  serializeLibrary,
+  parseLibrary,
+  mergeLibraries,
+  loadLibrary,
+  saveLibrary
+} from '../lib/scenarios';
+import { downloadFile } from '../lib/download';
+
+const ScenarioLibrary = ({ currentState, countryNames, onLoad }) => {
+  const [scenarios, setScenarios] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [invalid, setInvalid] = useState([]);
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState(null);
+
+  // localStorage is only available in the browser, so the library is read after mount. Nothing is written back
+  // unless it was read, and stored scenarios that fail validation are kept as they are.
+  useEffect(() => {
+    const library = loadLibrary();
+    if (library.error) {
+      setMessage({ type: 'error', text: `Saved scenarios could not be read (${library.error}); changes will not be stored` });
+      return;
+    }
+    setScenarios(library.scenarios);
+    setInvalid(library.invalid);
+    if (library.errors.length > 0) {
+      setMessage({ type: 'error', text: `Skipped ${library.errors.length} invalid saved scenario(s): ${library.errors.join('; ')}` });
+    }
+    setLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (loaded) {
+      saveLibrary(scenarios, invalid);
+    }
+  }, [scenarios, invalid, loaded]);
+
+  const handleSave = () => {
+    const scenario = createScenario({ ...currentState, name: name.trim(), note: note.trim() });
+    setScenarios([...scenarios, scenario]);
+    setName('');
+    setNote('');
+    setMessage({ type: 'success', text: `Saved "${scenario.name}"` });
+  };
+
+  const handleRename = (scenario) => {
+    const newName = window.prompt('Rename scenario', scenario.name);
+    if (newName && newName.trim()) {
+      setScenarios(scenarios.map(entry => (entry.id === scenario.id ? renameScenario(entry, newName.trim()) : entry)));
+    }
+  };
+
+  const handleDelete = (scenario) => {
+    if (window.confirm(`Delete "${scenario.name}"?`)) {
+      setScenarios(scenarios.filter(entry => entry.id !== scenario.id));
+    }
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseLibrary(String(reader.result));
+        setScenarios(mergeLibraries(scenarios, imported.scenarios));
+        setMessage(imported.errors.length > 0
+          ? { type: 'error', text: `Imported ${imported.scenarios.length} scenario(s) from ${file.name}; skipped ${imported.errors.join('; ')}` }
+          : { type: 'success', text: `Imported ${imported.scenarios.length} scenario(s) from ${file.name}` });
+      } catch (err) {
+        setMessage({ type: 'error', text: `Could not import ${file.name}: ${err.message}` });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <h3 className="text-lg font-semibold mb-4">Scenario Library</h3>
+
+      <div className="space-y-2 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Scenario name"
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Notes (optional)"
+          rows={2}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!name.trim()}
+          className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors"
+        >
+          <Save size={16} />
+          Save Current Scenario
+        </button>
+      </div>
+
+      {message && (
+        <p className={`text-xs mb-3 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No saved scenarios yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {scenarios.map(scenario => (
+            <li key={scenario.id} className="border border-gray-200 rounded-lg p-2">
+              <div className="flex justify-between items-start gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">{scenario.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {scenario.compareMode
+                      ? `Compare: ${scenario.compareCountries.map(key => countryNames[key] || key).join(', ')}`
+                      : countryNames[scenario.country] || scenario.country}
+                  </p>
+                </div>
+                <div className="flex gap-1 shrink-0 text-gray-500">
+                  <button onClick={() => onLoad(scenario)} title="Load" className="hover:text-blue-600"><FolderOpen size={16} /></button>
+                  <button onClick={() => handleRename(scenario)} title="Rename" className="hover:text-blue-600"><Pencil size={16} /></button>
+                  <button onClick={() => setScenarios([...scenarios, duplicateScenario(scenario)])} title="Duplicate" className="hover:text-blue-600"><Copy size={16} /></button>
+                  <button onClick={() => handleDelete(scenario)} title="Delete" className="hover:text-red-600"><Trash2 size={16} /></button>
+                </div>
+              </div>
+              {scenario.note && <p className="text-xs text-gray-600 mt-1">{scenario.note}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          onClick={() => downloadFile('fertility-scenarios.json', serializeLibrary(scenarios), 'application/json')}
+          disabled={scenarios.length === 0}
+          className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 disabled:opacity-50 transition flex items-center justify-center gap-1 text-sm"
+        >
+          <Download size={14} />
+          Export
+        </button>
+        <label className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition flex items-center justify-center gap-1 text-sm cursor-pointer">
+          <Upload size={14} />
+          Import
+          <input type="file" accept=".json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioLibrary;
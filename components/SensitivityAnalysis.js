@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { SlidersHorizontal } from 'lucide-react';
+import { sensitivityParameters, DEFAULT_SPREAD, defaultRanges, runSensitivity } from '../lib/sensitivity';
+
+const OUTPUT_LABELS = {
+  projectedTFR: { title: 'Projected TFR', digits: 3 },
+  roi: { title: 'Benefit-cost ratio', digits: 2 }
+};
+
+// Bars are changes from the base result, each drawn from zero; parameters with the largest swing sit at the top
+const Tornado = ({ output, base, ranked, omitted }) => {
+  const { title, digits } = OUTPUT_LABELS[output];
+  if (!Number.isFinite(base)) {
+    return (
+      <div>
+        <h4 className="font-medium mb-1">{title}</h4>
+        <p className="text-xs text-gray-500">Not defined for the current settings (e.g. a mix with no costs).</p>
+      </div>
+    );
+  }
+  const data = ranked.map(entry => ({
+    label: entry.label,
+    low: entry.atLow - base,
+    high: entry.atHigh - base
+  }));
+
+  return (
+    <div>
+      <h4 className="font-medium mb-1">{title}</h4>
+      <p className="text-xs text-gray-500 mb-2">
+        Base value {base.toFixed(digits)}
+        {omitted.length > 0 && `. Left out, as the value is undefined at one end of the range: ${omitted.join(', ')}`}
+      </p>
+      <ResponsiveContainer width="100%" height={40 + data.length * 32}>
+        <BarChart data={data} layout="vertical" margin={{ left: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" tickFormatter={(value) => value.toFixed(digits)} />
+          <YAxis type="category" dataKey="label" width={200} tick={{ fontSize: 11 }} />
+          <Tooltip formatter={(value) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)} (${(base + value).toFixed(digits)})`} />
+          <Legend />
+          <ReferenceLine x={0} stroke="#6b7280" />
+          <Bar dataKey="low" fill="#f59e0b" name="Parameter at low" />
+          <Bar dataKey="high" fill="#3b82f6" name="Parameter at high" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// Ranges are edited as text so partly typed numbers survive
+const rangeInputs = (spread, interventions, parameters, country) => {
+  const ranges = defaultRanges(spread, interventions, parameters, country);
+  return Object.fromEntries(Object.keys(ranges).map(key => [key, ranges[key].map(value => String(Number(value.toFixed(4))))]));
+};
+
+// One-at-a-time sensitivity of the current settings to the model's constants
+const SensitivityAnalysis = ({ country, policies, schedule, discountRate, baseline, parameters, interventions }) => {
+  const [spread, setSpread] = useState(DEFAULT_SPREAD);
+  const [ranges, setRanges] = useState(() => rangeInputs(DEFAULT_SPREAD, interventions, parameters, country));
+  const [analysis, setAnalysis] = useState(null);
+  const [error, setError] = useState(null);
+
+  // A rerun may bring a different catalogue or parameter set, so ranges start again from its values; the
+  // spread and country are read from the latest render rather than resetting the ranges themselves
+  const latest = useRef(null);
+  latest.current = { spread, country };
+  useEffect(() => {
+    const { spread, country } = latest.current;
+    setRanges(rangeInputs(Number(spread) >= 0 && Number(spread) <= 100 ? Number(spread) : DEFAULT_SPREAD, interventions, parameters, country));
+    setAnalysis(null);
+  }, [interventions, parameters]);
+
+  const updateSpread = (value) => {
+    setSpread(value);
+    if (Number(value) >= 0 && Number(value) <= 100) {
+      setRanges(rangeInputs(Number(value), interventions, parameters, country));
+    }
+  };
+
+  const updateRange = (key, index, value) => {
+    const range = [...ranges[key]];
+    range[index] = value;
+    setRanges({ ...ranges, [key]: range });
+  };
+
+  const run = () => {
+    setError(null);
+    try {
+      setAnalysis(runSensitivity(country, policies, { schedule, discountRate, baseline, parameters, interventions, ranges }));
+    } catch (err) {
+      setAnalysis(null);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <h3 className="text-lg font-semibold mb-1">Sensitivity Analysis: {country.name}</h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Varies one model constant at a time across its range, holding the rest at their current values and the policy
+        settings as they are now, and ranks the effect on projected TFR and the benefit-cost ratio.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <label className="text-sm">
+          <span className="block font-medium mb-1">Default range (± %)</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="5"
+            value={spread}
+            onChange={(e) => updateSpread(e.target.value)}
+            className="w-24 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </label>
+        <button
+          onClick={run}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 flex items-center gap-2 transition-colors"
+        >
+          <SlidersHorizontal size={16} />
+          Run Sensitivity Analysis
+        </button>
+      </div>
+
+      <table className="w-full text-xs mb-4">
+        <thead>
+          <tr className="text-left text-gray-600">
+            <th className="py-1 font-medium">Parameter</th>
+            <th className="py-1 font-medium">Current</th>
+            <th className="py-1 font-medium">Low</th>
+            <th className="py-1 font-medium">High</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sensitivityParameters(interventions, parameters, country).map(parameter => (
+            <tr key={parameter.key} className="border-t border-gray-100">
+              <td className="py-1 pr-2">{parameter.label}</td>
+              <td className="py-1 pr-2 text-gray-500">{parameter.value}</td>
+              {[0, 1].map(index => (
+                <td key={index} className="py-1 pr-2">
+                  <input
+                    type="number"
+                    min={parameter.signed ? undefined : '0'}
+                    step="any"
+                    value={ranges[parameter.key] ? ranges[parameter.key][index] : ''}
+                    onChange={(e) => updateRange(parameter.key, index, e.target.value)}
+                    className="w-20 p-1 border border-gray-300 rounded"
+                    aria-label={`${parameter.label} ${index === 0 ? 'low' : 'high'}`}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {analysis && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {Object.keys(OUTPUT_LABELS).map(output => (
+            <Tornado
+              key={output}
+              output={output}
+              base={analysis.base[output]}
+              ranked={analysis.ranked[output]}
+              omitted={analysis.omitted[output]}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityAnalysis;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Crosshair } from 'lucide-react';
+import { defaultInterventions, PROJECTION_START_YEAR, PROJECTION_YEARS } from '../lib/simulator';
+import { solveForTarget } from '../lib/optimizer';
+
+const TARGET_YEARS = Array.from({ length: PROJECTION_YEARS }, (_, index) => PROJECTION_START_YEAR + index + 1);
+
+const TargetSolver = ({ country, money, onApply, baseline, parameters, interventions = defaultInterventions }) => {
+  const [targetTFR, setTargetTFR] = useState(1.0);
+  const [targetYear, setTargetYear] = useState(PROJECTION_START_YEAR + 10);
+  const [solution, setSolution] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runSolver = () => {
+    setError(null);
+    let result;
+    try {
+      result = solveForTarget(country, Number(targetTFR), Number(targetYear), { interventions, baseline, parameters });
+    } catch (err) {
+      setSolution(null);
+      setError(err.message);
+      return;
+    }
+    setSolution(result);
+    if (result.feasible) {
+      onApply(result.policies);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium mb-2">Reach Target TFR</label>
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          type="number"
+          min="0"
+          max="2.5"
+          step="0.05"
+          value={targetTFR}
+          onChange={(e) => setTargetTFR(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          aria-label="Target TFR"
+        />
+        <select
+          value={targetYear}
+          onChange={(e) => setTargetYear(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          aria-label="Target year"
+        >
+          {TARGET_YEARS.map(year => (
+            <option key={year} value={year}>by {year}</option>
+          ))}
+        </select>
+      </div>
+      <button
+        onClick={runSolver}
+        disabled={!(Number(targetTFR) > 0)}
+        className="w-full mt-2 bg-indigo-600 text-white py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 flex items-center justify-center gap-1 transition-colors"
+      >
+        <Crosshair size={16} />
+        Find Cheapest Mix
+      </button>
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+
+      {solution && (solution.feasible ? (
+        <div className="mt-3 text-xs bg-indigo-50 border border-indigo-200 rounded-lg p-2">
+          <p className="font-medium text-indigo-700">
+            TFR {solution.tfrInTargetYear.toFixed(3)} in {solution.targetYear} for {money.format(solution.totalCost)}/yr
+          </p>
+          <p className="text-gray-600">
+            {Object.keys(solution.policies)
+              .filter(policy => solution.policies[policy] > 0)
+              .map(policy => `${interventions[policy].name} ${solution.policies[policy]}%`)
+              .join(', ') || 'Already at or above target without interventions'}
+          </p>
+        </div>
+      ) : (
+        <div className="mt-3 text-xs bg-red-50 border border-red-200 rounded-lg p-2">
+          <p className="font-medium text-red-700">
+            No mix reaches {solution.targetTFR.toFixed(2)} by {solution.targetYear}
+          </p>
+          <p className="text-gray-600">
+            Best achievable: {solution.achievableTFR.toFixed(3)} with every intervention at 100%
+            ({money.format(solution.totalCost)}/yr). Shortfall: {solution.shortfall.toFixed(3)} TFR.
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TargetSolver;
@@ -0,0 +1,120 @@
+// Observed TFR series and backtests: restart the model in a past year from the profile as it stood then,
+// project to the last observed year and score the path against what was observed
+
+import { getCountry, countryElasticities, DEFAULT_PARAMETERS } from './simulator';
+import { baselinePath, BASELINE_MODES } from './baseline';
+
+// The structural model driven by the barrier indices, and the two data-driven baselines for comparison.
+// Forecast tables describe the future, so they cannot be backtested.
+export const BACKTEST_MODES = {
+  structural: 'Structural model',
+  trend: BASELINE_MODES.trend,
+  flat: BASELINE_MODES.flat
+};
+export const MIN_TRAINING_YEARS = 5; // observed years up to and including the start year
+
+// [{ year, tfr }] from a profile's tfrHistory (empty without one)
+export const observedSeries = (country) => (country.tfrHistory
+  ? country.tfrHistory.values.map((tfr, index) => ({ year: country.tfrHistory.startYear + index, tfr }))
+  : []);
+
+// Start years with enough history before them and at least one observed year after
+export const backtestYears = (country) => observedSeries(country)
+  .slice(MIN_TRAINING_YEARS - 1, -1)
+  .map(point => point.year);
+
+// Barrier indices in `year`: linear between baseFactorsHistory entries and the profile's own baseFactors
+// in meta.year, held at the earliest entry before that
+export const baseFactorsAt = (country, year) => {
+  const entries = [
+    ...(country.baseFactorsHistory || []).filter(entry => entry.year < country.meta.year),
+    { year: country.meta.year, baseFactors: country.baseFactors }
+  ].sort((a, b) => a.year - b.year);
+  if (year <= entries[0].year) return { ...entries[0].baseFactors };
+  const after = entries.findIndex(entry => entry.year >= year);
+  if (after === -1) return { ...country.baseFactors };
+  const [from, to] = [entries[after - 1], entries[after]];
+  const weight = (year - from.year) / (to.year - from.year);
+  return Object.fromEntries(Object.keys(to.baseFactors).map(factor => [
+    factor,
+    from.baseFactors[factor] + (to.baseFactors[factor] - from.baseFactors[factor]) * weight
+  ]));
+};
+
+// The profile as it stood in `year`: TFR from that year, history cut off there, and that year's barrier indices
+export const historicalProfile = (country, year) => {
+  const { startYear, values } = country.tfrHistory;
+  return {
+    ...country,
+    baseTFR: values[year - startYear],
+    baseFactors: baseFactorsAt(country, year),
+    tfrHistory: { startYear, values: values.slice(0, year - startYear + 1) },
+    meta: { ...country.meta, year }
+  };
+};
+
+// Error metrics over { observed, projected } points; errors are projected minus observed
+export const scoreBacktest = (points) => {
+  const errors = points.map(point => point.projected - point.observed);
+  const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+  return {
+    years: points.length,
+    mae: mean(errors.map(Math.abs)),
+    rmse: Math.sqrt(mean(errors.map(error => error * error))),
+    mape: mean(points.map((point, index) => Math.abs(errors[index]) / point.observed)) * 100,
+    bias: mean(errors),
+    finalError: errors[errors.length - 1]
+  };
+};
+
+// Structural model run from `profile` (see historicalProfile) for each year to `endYear`: TFR starts at the
+// profile's and log TFR moves by elasticity x the log change in each barrier index since the start year, as
+// fertilityResponse does for an intervention's barrier changes. Later indices come from the full profile.
+const structuralPath = (country, profile, endYear, parameters) => {
+  const elasticities = countryElasticities(profile, parameters);
+  const tfrCap = parameters.tfrCap === undefined ? DEFAULT_PARAMETERS.tfrCap : parameters.tfrCap;
+  return Array.from({ length: endYear - profile.meta.year + 1 }, (_, index) => {
+    const factors = baseFactorsAt(country, profile.meta.year + index);
+    const impact = Object.keys(profile.baseFactors).reduce((total, factor) =>
+      total + elasticities[factor] * Math.log(factors[factor] / profile.baseFactors[factor]), 0);
+    return Math.min(tfrCap, profile.baseTFR * Math.exp(impact));
+  });
+};
+
+// Projects from `startYear` to the last observed year with the chosen mode (see BACKTEST_MODES); `parameters`
+// overrides elasticities and the TFR cap as in the simulator. The start year itself is the anchor and is left
+// out of the metrics.
+export const runBacktest = (countryOrKey, startYear, { mode = 'structural', parameters = {} } = {}) => {
+  const country = getCountry(countryOrKey);
+  if (!country.tfrHistory) {
+    throw new Error(`${country.name} has no TFR history to backtest against`);
+  }
+  const years = backtestYears(country);
+  if (!years.includes(startYear)) {
+    throw new Error(`Backtest start year must be between ${years[0]} and ${years[years.length - 1]}`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(BACKTEST_MODES, mode)) {
+    throw new Error(`Unknown backtest mode: ${mode} (expected ${Object.keys(BACKTEST_MODES).join(', ')})`);
+  }
+
+  const profile = historicalProfile(country, startYear);
+  const observed = observedSeries(country).filter(point => point.year >= startYear);
+  const endYear = observed[observed.length - 1].year;
+  const path = mode === 'structural'
+    ? structuralPath(country, profile, endYear, parameters)
+    : baselinePath(profile, { mode }, { startYear, years: endYear - startYear }).path;
+  const points = observed.map((point, index) => ({
+    year: point.year,
+    observed: point.tfr,
+    projected: Number(path[index].toFixed(3))
+  }));
+
+  return {
+    startYear,
+    endYear,
+    mode,
+    baseFactors: profile.baseFactors,
+    points,
+    metrics: scoreBacktest(points.slice(1))
+  };
+};
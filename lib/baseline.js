@@ -0,0 +1,97 @@
+// Counterfactual TFR path without any intervention: flat at the current TFR, the recent trend carried
+// forward, or an external forecast table
+
+import { PROJECTION_START_YEAR, PROJECTION_YEARS } from './constants';
+
+export const BASELINE_MODES = {
+  flat: 'Flat at current TFR',
+  trend: 'Trend from history',
+  forecast: 'External forecast'
+};
+
+// Flat unless a run opts into the trend or a forecast, so that omitting `baseline` keeps earlier results
+export const DEFAULT_BASELINE = Object.freeze({ mode: 'flat' });
+
+export const TREND_WINDOW = 10; // years of history the trend is fitted on
+export const TREND_DAMPING = 0.9; // share of each year's trend carried into the next
+
+// { mode, forecast } with forecast rows sorted by year; throws on an unknown mode or a bad table
+export const normalizeBaseline = (baseline = DEFAULT_BASELINE) => {
+  if (!baseline || typeof baseline !== 'object') {
+    throw new Error('Baseline must be an object with a mode');
+  }
+  const mode = baseline.mode === undefined ? DEFAULT_BASELINE.mode : baseline.mode;
+  if (!BASELINE_MODES[mode]) {
+    throw new Error(`Unknown baseline mode: ${mode} (expected ${Object.keys(BASELINE_MODES).join(', ')})`);
+  }
+  if (mode !== 'forecast') {
+    return { mode };
+  }
+  if (!Array.isArray(baseline.forecast) || baseline.forecast.length === 0) {
+    throw new Error('A forecast baseline needs a forecast table of { year, tfr } rows');
+  }
+  if (baseline.forecast.some(row => !row || typeof row !== 'object')) {
+    throw new Error('A forecast baseline needs a forecast table of { year, tfr } rows');
+  }
+  const forecast = baseline.forecast.map(row => ({ year: Number(row.year), tfr: Number(row.tfr) }));
+  forecast.forEach(row => {
+    if (!Number.isInteger(row.year) || !Number.isFinite(row.tfr) || row.tfr < 0 || row.tfr > 10) {
+      throw new Error('Forecast rows need a whole-number year and a TFR between 0 and 10');
+    }
+  });
+  forecast.sort((a, b) => a.year - b.year);
+  if (forecast.some((row, index) => index > 0 && row.year === forecast[index - 1].year)) {
+    throw new Error('Forecast table lists a year more than once');
+  }
+  return { mode, forecast };
+};
+
+// Annual change in log TFR over the last `window` years of history (least-squares slope)
+export const trendRate = ({ startYear, values }, window = TREND_WINDOW) => {
+  const recent = values.slice(-window).map((value, index, slice) => ({
+    year: startYear + values.length - slice.length + index,
+    log: Math.log(value)
+  }));
+  const meanYear = recent.reduce((total, point) => total + point.year, 0) / recent.length;
+  const meanLog = recent.reduce((total, point) => total + point.log, 0) / recent.length;
+  const covariance = recent.reduce((total, point) => total + (point.year - meanYear) * (point.log - meanLog), 0);
+  const variance = recent.reduce((total, point) => total + (point.year - meanYear) ** 2, 0);
+  return variance > 0 ? covariance / variance : 0;
+};
+
+// TFR in `year` from a forecast table, linear between rows and held flat beyond either end
+const interpolate = (forecast, year) => {
+  if (year <= forecast[0].year) return forecast[0].tfr;
+  const after = forecast.findIndex(row => row.year >= year);
+  if (after === -1) return forecast[forecast.length - 1].tfr;
+  const [from, to] = [forecast[after - 1], forecast[after]];
+  return from.tfr + (to.tfr - from.tfr) * (year - from.year) / (to.year - from.year);
+};
+
+// Baseline TFR for each year from `startYear` (the projection horizon by default). The trend starts from
+// baseTFR in the profile's data year and is damped so it levels off rather than running to zero;
+// profiles without tfrHistory fall back to flat.
+export const baselinePath = (
+  country,
+  baseline = DEFAULT_BASELINE,
+  { startYear = PROJECTION_START_YEAR, years: length = PROJECTION_YEARS } = {}
+) => {
+  const { mode, forecast } = normalizeBaseline(baseline);
+  const years = Array.from({ length: length + 1 }, (_, index) => startYear + index);
+
+  if (mode === 'forecast') {
+    return { mode, forecast, path: years.map(year => interpolate(forecast, year)) };
+  }
+  if (mode === 'trend' && country.tfrHistory) {
+    const rate = trendRate(country.tfrHistory);
+    const path = years.map(year => {
+      let change = 0;
+      for (let step = 1; step <= year - country.meta.year; step++) {
+        change += rate * Math.pow(TREND_DAMPING, step);
+      }
+      return country.baseTFR * Math.exp(change);
+    });
+    return { mode, trendRate: rate, path };
+  }
+  return { mode: 'flat', path: years.map(() => country.baseTFR) };
+};
@@ -0,0 +1,293 @@
+// Fits maxImpact and the saturation rate to observed policy episodes by nonlinear least squares, and
+// keeps the results as named parameter sets for simulateTFRImpactForCountry's `parameters` option
+
+import { defaultInterventions, DEFAULT_PARAMETERS } from './simulator';
+import { BARRIER_FACTORS } from './interventions';
+import { validateSchema, formatSchemaErrors } from './schema';
+import { parseCSV } from './profileImport';
+import bundledEpisodes from '../data/episodes.json';
+
+export const PARAMETER_SETS_STORAGE_KEY = 'fertility-simulator:parameter-sets';
+
+export const SATURATION_BOUNDS = [0.05, 20]; // the fit is kept inside these; at a bound k is poorly identified
+const MIN_MAX_IMPACT = 1e-4;
+const MAX_ITERATIONS = 200;
+
+export const EPISODE_SCHEMA = {
+  type: 'object',
+  fields: {
+    intervention: { type: 'string' },
+    intensity: { type: 'number', min: 0, max: 100 },
+    tfrChange: { type: 'number', min: -5, max: 5 }, // TFR change attributed to the policy once fully phased in
+    country: { type: 'string', optional: true },
+    year: { type: 'number', integer: true, min: 1900, max: 2100, optional: true },
+    label: { type: 'string', optional: true },
+    proxy: { type: 'boolean', optional: true } // earlier programme standing in for an untested intervention
+  }
+};
+
+export const defaultEpisodes = bundledEpisodes.episodes;
+export const EPISODES_NOTE = bundledEpisodes.meta.note;
+
+// Throws a field-level message on the first bad episode or an intervention missing from the catalogue
+export const validateEpisodes = (episodes, interventions = defaultInterventions) => {
+  if (!Array.isArray(episodes) || episodes.length === 0) {
+    throw new Error('Episodes must be a non-empty array');
+  }
+  const errors = episodes.flatMap((episode, index) => validateSchema(episode, EPISODE_SCHEMA, `episodes[${index}]`));
+  if (errors.length > 0) {
+    throw new Error(formatSchemaErrors(errors));
+  }
+  const unknown = episodes.find(episode => !interventions[episode.intervention]);
+  if (unknown) {
+    throw new Error(`Unknown intervention in episodes: ${unknown.intervention}`);
+  }
+  return episodes;
+};
+
+// Episodes from an uploaded CSV (columns as in EPISODE_SCHEMA) or JSON file (an array, or { episodes })
+export const parseEpisodeFile = (text, fileName) => {
+  if (/\.json$/i.test(fileName)) {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : parsed.episodes;
+  }
+  if (!/\.csv$/i.test(fileName)) {
+    throw new Error('Unsupported file type, expected .csv or .json');
+  }
+  const [header, ...rows] = parseCSV(text);
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => Object.fromEntries(columns
+    .map((column, index) => [column, (cells[index] || '').trim()])
+    .filter(([, cell]) => cell !== '')
+    .map(([column, cell]) => {
+      if (column === 'proxy') return [column, cell.toLowerCase() === 'true'];
+      return [column, ['intensity', 'tfrChange', 'year'].includes(column) ? Number(cell) : cell];
+    })));
+};
+
+// Long-run TFR gain for one intervention at `intensity` %, as in projectTFR
+const predict = (maxImpact, saturationRate, intensity) => {
+  const impact = maxImpact * intensity / 100;
+  return impact * (1 - Math.exp(-saturationRate * impact));
+};
+
+// Partial derivatives of predict with respect to maxImpact and saturationRate
+const gradient = (maxImpact, saturationRate, intensity) => {
+  const share = intensity / 100;
+  const impact = maxImpact * share;
+  const decay = Math.exp(-saturationRate * impact);
+  return {
+    maxImpact: share * ((1 - decay) + saturationRate * impact * decay),
+    saturationRate: impact * impact * decay
+  };
+};
+
+// Gauss-Jordan inverse of a square matrix, or null when it is singular
+const invert = (matrix) => {
+  const size = matrix.length;
+  const rows = matrix.map((row, index) => [...row, ...Array.from({ length: size }, (_, column) => (column === index ? 1 : 0))]);
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-14) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    const scale = rows[column][column];
+    rows[column] = rows[column].map(value => value / scale);
+    rows.forEach((row, index) => {
+      if (index === column || row[column] === 0) return;
+      const factor = row[column];
+      rows[index] = row.map((value, position) => value - factor * rows[column][position]);
+    });
+  }
+  return rows.map(row => row.slice(size));
+};
+
+// Levenberg-Marquardt fit of maxImpact for every intervention that has episodes and, unless
+// `fitSaturation` is false, the shared saturation rate k. Standard errors come from s^2 (J'J)^-1; they are
+// null when the parameters cannot be told apart (e.g. one intensity per intervention with k free).
+export const calibrate = (episodes, { interventions = defaultInterventions, fitSaturation = true } = {}) => {
+  validateEpisodes(episodes, interventions);
+  const policies = [...new Set(episodes.map(episode => episode.intervention))];
+  const names = [...policies, ...(fitSaturation ? ['saturationRate'] : [])];
+  if (episodes.length <= names.length) {
+    throw new Error(`Fitting ${names.length} parameters needs more than ${names.length} episodes (have ${episodes.length})`);
+  }
+
+  const unpack = (theta) => ({
+    maxImpact: Object.fromEntries(policies.map((policy, index) => [policy, theta[index]])),
+    saturationRate: fitSaturation ? theta[policies.length] : DEFAULT_PARAMETERS.saturationRate
+  });
+  const clamp = (theta) => theta.map((value, index) => (index < policies.length
+    ? Math.max(MIN_MAX_IMPACT, value)
+    : Math.min(SATURATION_BOUNDS[1], Math.max(SATURATION_BOUNDS[0], value))));
+  const residuals = (theta) => {
+    const { maxImpact, saturationRate } = unpack(theta);
+    return episodes.map(episode => episode.tfrChange - predict(maxImpact[episode.intervention], saturationRate, episode.intensity));
+  };
+  const jacobian = (theta) => {
+    const { maxImpact, saturationRate } = unpack(theta);
+    return episodes.map(episode => {
+      const slope = gradient(maxImpact[episode.intervention], saturationRate, episode.intensity);
+      return names.map(name => {
+        if (name === 'saturationRate') return slope.saturationRate;
+        return name === episode.intervention ? slope.maxImpact : 0;
+      });
+    });
+  };
+  const sumSquares = (values) => values.reduce((total, value) => total + value * value, 0);
+
+  let theta = [
+    ...policies.map(policy => interventions[policy].maxImpact),
+    ...(fitSaturation ? [DEFAULT_PARAMETERS.saturationRate] : [])
+  ];
+  let sse = sumSquares(residuals(theta));
+  let damping = 1e-3;
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < MAX_ITERATIONS && !converged) {
+    iterations++;
+    const jac = jacobian(theta);
+    const res = residuals(theta);
+    const normal = names.map((_, i) => names.map((__, j) => jac.reduce((total, row) => total + row[i] * row[j], 0)));
+    const slope = names.map((_, i) => jac.reduce((total, row, index) => total + row[i] * res[index], 0));
+    let improved = false;
+    while (!improved && damping < 1e12) {
+      const inverse = invert(normal.map((row, i) => row.map((value, j) => (i === j ? value * (1 + damping) + 1e-12 : value))));
+      if (!inverse) {
+        damping *= 10;
+        continue;
+      }
+      const step = inverse.map(row => row.reduce((total, value, j) => total + value * slope[j], 0));
+      const candidate = clamp(theta.map((value, index) => value + step[index]));
+      const candidateSse = sumSquares(residuals(candidate));
+      if (candidateSse < sse) {
+        converged = (sse - candidateSse) <= 1e-12 * Math.max(sse, 1e-12);
+        theta = candidate;
+        sse = candidateSse;
+        damping = Math.max(damping / 10, 1e-9);
+        improved = true;
+      } else {
+        damping *= 10;
+      }
+    }
+    if (!improved) converged = true;
+  }
+
+  const degreesOfFreedom = episodes.length - names.length;
+  const variance = sse / degreesOfFreedom;
+  const jac = jacobian(theta);
+  const covariance = invert(names.map((_, i) => names.map((__, j) => jac.reduce((total, row) => total + row[i] * row[j], 0))));
+  const standardError = (index) => (covariance && covariance[index][index] >= 0 ? Math.sqrt(variance * covariance[index][index]) : null);
+  const fitted = unpack(theta);
+  const observedMean = episodes.reduce((total, episode) => total + episode.tfrChange, 0) / episodes.length;
+  const totalSquares = episodes.reduce((total, episode) => total + (episode.tfrChange - observedMean) ** 2, 0);
+
+  return {
+    // The fit is of the reduced-form response, so the set runs under that model
+    parameters: { fertilityModel: 'reduced', saturationRate: fitted.saturationRate, maxImpact: fitted.maxImpact },
+    estimates: names.map((name, index) => ({
+      key: name === 'saturationRate' ? name : `maxImpact.${name}`,
+      label: name === 'saturationRate' ? 'Saturation rate k' : interventions[name].name,
+      prior: name === 'saturationRate' ? DEFAULT_PARAMETERS.saturationRate : interventions[name].maxImpact,
+      value: theta[index],
+      standardError: standardError(index),
+      episodes: name === 'saturationRate' ? episodes.length : episodes.filter(episode => episode.intervention === name).length,
+      atBound: name === 'saturationRate' && SATURATION_BOUNDS.includes(theta[index])
+    })),
+    episodes: episodes.map((episode, index) => ({ ...episode, predicted: episode.tfrChange - residuals(theta)[index] })),
+    residualStandardError: Math.sqrt(variance),
+    rSquared: totalSquares > 0 ? 1 - sse / totalSquares : null,
+    degreesOfFreedom,
+    iterations,
+    converged
+  };
+};
+
+const PARAMETERS_SCHEMA = {
+  type: 'object',
+  fields: {
+    fertilityModel: { type: 'string', pattern: /^(structural|reduced)$/, optional: true },
+    factorMultiplier: { type: 'number', min: 0, max: 2.5, optional: true },
+    benefitGdpShare: { type: 'number', min: 0, optional: true },
+    productivityGrowth: { type: 'number', min: -5, max: 10, optional: true },
+    motherhoodElasticity: { type: 'number', min: -2, max: 2, optional: true },
+    saturationRate: { type: 'number', min: 0, optional: true },
+    tfrCap: { type: 'number', min: 0, max: 10, optional: true },
+    maxImpact: { type: 'object', optional: true }, // { [policy]: number }, checked below
+    elasticities: {
+      type: 'object',
+      optional: true,
+      fields: Object.fromEntries(Object.keys(BARRIER_FACTORS).map(factor => [factor, { type: 'number', min: -2, max: 2, optional: true }]))
+    }
+  }
+};
+
+const PARAMETER_SET_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    parameters: PARAMETERS_SCHEMA
+  }
+};
+
+// maxImpact overrides must name interventions in `interventions` and be non-negative numbers
+const maxImpactErrors = (parameters, path, interventions) => Object.keys((parameters && parameters.maxImpact) || {})
+  .map(policy => {
+    const value = parameters.maxImpact[policy];
+    if (!Object.prototype.hasOwnProperty.call(interventions, policy)) {
+      return { path: `${path}.maxImpact.${policy}`, message: 'is not an intervention in the catalogue' };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { path: `${path}.maxImpact.${policy}`, message: 'must be a non-negative number' };
+    }
+    return null;
+  })
+  .filter(Boolean);
+
+const throwOnErrors = (errors) => {
+  if (errors.length > 0) {
+    throw new Error(formatSchemaErrors(errors));
+  }
+};
+
+// Overrides in the shape of simulateTFRImpactForCountry's `parameters` option for a run with `interventions`;
+// throws on a bad value
+export const validateParameters = (parameters, interventions = defaultInterventions) => {
+  throwOnErrors([
+    ...validateSchema(parameters, PARAMETERS_SCHEMA, 'parameters'),
+    ...maxImpactErrors(parameters, 'parameters', interventions)
+  ]);
+  return parameters;
+};
+
+// { name, parameters } for `interventions`; throws on a bad set
+export const validateParameterSet = (set, interventions = defaultInterventions) => {
+  throwOnErrors([
+    ...validateSchema(set, PARAMETER_SET_SCHEMA, 'parameterSet'),
+    ...maxImpactErrors(set && set.parameters, 'parameterSet.parameters', interventions)
+  ]);
+  return set;
+};
+
+// { sets } from storage ([] when nothing is stored), checked against the `interventions` catalogue; an
+// unreadable entry also returns its `error` so that the caller can report it and leave storage alone
+export const loadParameterSets = (interventions = defaultInterventions) => {
+  if (typeof window === 'undefined') return { sets: [] };
+  try {
+    const stored = window.localStorage.getItem(PARAMETER_SETS_STORAGE_KEY);
+    return { sets: stored ? JSON.parse(stored).map(set => validateParameterSet(set, interventions)) : [] };
+  } catch (err) {
+    return { sets: [], error: err.message };
+  }
+};
+
+export const saveParameterSets = (sets) => {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(PARAMETER_SETS_STORAGE_KEY, JSON.stringify(sets));
+};
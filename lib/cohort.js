@@ -0,0 +1,87 @@
+// Cohort-component population projection (single-year ages, closed population)
+
+export const AGE_GROUPS = [
+  '0-4', '5-9', '10-14', '15-19', '20-24', '25-29', '30-34', '35-39', '40-44',
+  '45-49', '50-54', '55-59', '60-64', '65-69', '70-74', '75-79', '80-84', '85+'
+];
+
+// Five-year fertility groups 15-19 .. 45-49 map onto AGE_GROUPS indices 3..9
+const FERTILE_GROUP_OFFSET = 3;
+const OPEN_AGE = (AGE_GROUPS.length - 1) * 5; // single-year age 85 holds the 85+ group
+
+const groupIndex = (age) => Math.min(AGE_GROUPS.length - 1, Math.floor(age / 5));
+
+// Spreads five-year group totals evenly across single years of age
+const expandGroups = (groups) => {
+  const ages = [];
+  for (let age = 0; age <= OPEN_AGE; age++) {
+    const value = groups[groupIndex(age)];
+    ages.push(age === OPEN_AGE ? value : value / 5);
+  }
+  return ages;
+};
+
+const collapseAges = (ages) => {
+  const groups = AGE_GROUPS.map(() => 0);
+  ages.forEach((value, age) => {
+    groups[groupIndex(age)] += value;
+  });
+  return groups;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Builds the starting single-year population, rescaled so it adds up to the headline population
+export const buildBasePopulation = (country) => {
+  const { cohort, demographics } = country;
+  const scale = demographics.population / (sum(cohort.male) + sum(cohort.female));
+  return {
+    male: expandGroups(cohort.male.map(value => value * scale)),
+    female: expandGroups(cohort.female.map(value => value * scale))
+  };
+};
+
+// Age-specific fertility for a given TFR, keeping the country's ASFR schedule shape
+const fertilityByAge = (asfr, tfr) => {
+  const scheduleTFR = sum(asfr) * 5;
+  const rates = [];
+  for (let age = 0; age <= OPEN_AGE; age++) {
+    const group = groupIndex(age) - FERTILE_GROUP_OFFSET;
+    rates.push(group >= 0 && group < asfr.length ? asfr[group] * tfr / scheduleTFR : 0);
+  }
+  return rates;
+};
+
+const ageOneYear = (population, survival, births) => {
+  const next = population.map(() => 0);
+  next[0] = births * survival[0];
+  for (let age = 0; age < OPEN_AGE; age++) {
+    next[age + 1] += population[age] * survival[groupIndex(age)];
+  }
+  next[OPEN_AGE] += population[OPEN_AGE] * survival[groupIndex(OPEN_AGE)];
+  return next;
+};
+
+// Projects the population along a TFR path; tfrPath[0] applies to the base year.
+// Populations are in millions; births are people per year.
+export const projectCohorts = (country, tfrPath) => {
+  const { cohort } = country;
+  const maleShareOfBirths = cohort.sexRatioAtBirth / (1 + cohort.sexRatioAtBirth);
+  let { male, female } = buildBasePopulation(country);
+
+  const years = [];
+  tfrPath.forEach((tfr, step) => {
+    const rates = fertilityByAge(cohort.asfr, tfr);
+    const births = sum(female.map((women, age) => women * rates[age]));
+    years.push({
+      step,
+      births: births * 1000000,
+      population: sum(male) + sum(female),
+      male: collapseAges(male),
+      female: collapseAges(female)
+    });
+    male = ageOneYear(male, cohort.survival.male, births * maleShareOfBirths);
+    female = ageOneYear(female, cohort.survival.female, births * (1 - maleShareOfBirths));
+  });
+  return years;
+};
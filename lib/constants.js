@@ -0,0 +1,10 @@
+// Model-wide constants shared by the engine modules
+
+// Bumped whenever the model's equations or default parameters change; recorded in exports
+export const MODEL_VERSION = '1.10.0';
+
+export const PROJECTION_START_YEAR = 2025;
+export const PROJECTION_YEARS = 20;
+export const LONG_RUN_YEAR = 2070; // demographic indicators run on past the policy horizon to here
+export const REPLACEMENT_TFR = 2.1;
+export const MONTE_CARLO_DRAWS = 500;
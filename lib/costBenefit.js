@@ -0,0 +1,103 @@
+// Discounted cost-benefit analysis over the appraisal period
+
+export const DEFAULT_DISCOUNT_RATE = 3.5; // % per year
+
+// Numbers or numeric text (from form inputs); null, blanks and other types are rejected rather than read as 0
+export const normalizeDiscountRate = (rate = DEFAULT_DISCOUNT_RATE) => {
+  const numeric = typeof rate === 'number' || (typeof rate === 'string' && rate.trim() !== '');
+  const value = numeric ? Number(rate) : NaN;
+  if (!Number.isFinite(value) || value < 0 || value > 20) {
+    throw new Error('Discount rate must be a number between 0 and 20 (% per year)');
+  }
+  return value;
+};
+
+// costData: [{ year, capital, operating, total }] in $M; `benefits` holds the $M benefit in each of those
+// years (the change in the net fiscal balance, see lib/fiscal.js) and the optional `benefitItems` its parts,
+// one { [item]: $M } per year, whose present values are reported as `presentBenefitItems`. Flows are
+// discounted to the first year. The benefit-cost ratio is null when there are no costs.
+export const analyzeCostBenefit = ({ costData, benefits: benefitFlows, benefitItems = [], discountRate = DEFAULT_DISCOUNT_RATE }) => {
+  let cumulative = 0;
+  let presentCosts = 0;
+  let presentBenefits = 0;
+  let paybackYear = null;
+  const presentBenefitItems = Object.fromEntries(Object.keys(benefitItems[0] || {}).map(item => [item, 0]));
+
+  // Payback is the first year from which the cumulative discounted net flow stays non-negative to the end
+  // of the appraisal; a dip back below zero resets it, so a negative final balance never pays back
+  const cashFlows = costData.map((cost, index) => {
+    const benefits = benefitFlows[index];
+    const discountFactor = 1 / Math.pow(1 + discountRate / 100, index);
+    presentCosts += cost.total * discountFactor;
+    presentBenefits += benefits * discountFactor;
+    Object.keys(presentBenefitItems).forEach(item => {
+      presentBenefitItems[item] += benefitItems[index][item] * discountFactor;
+    });
+    cumulative += (benefits - cost.total) * discountFactor;
+    if (cumulative < 0) {
+      paybackYear = null;
+    } else if (paybackYear === null && presentCosts > 0) {
+      paybackYear = cost.year;
+    }
+    return {
+      year: cost.year,
+      capital: cost.capital,
+      operating: cost.operating,
+      costs: cost.total,
+      benefits,
+      net: benefits - cost.total,
+      discountedNet: (benefits - cost.total) * discountFactor,
+      cumulativeDiscountedNet: cumulative
+    };
+  });
+
+  return {
+    discountRate,
+    presentCosts,
+    presentBenefits,
+    presentBenefitItems,
+    npv: presentBenefits - presentCosts,
+    benefitCostRatio: presentCosts > 0 ? presentBenefits / presentCosts : null,
+    paybackYear,
+    cashFlows
+  };
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+const effectivenessMetrics = ({ presentCosts, presentBenefits, tfrGain }) => ({
+  presentCosts,
+  presentBenefits,
+  tfrGain,
+  benefitCostRatio: ratio(presentBenefits, presentCosts),
+  // $M of discounted cost per 0.01 of TFR gained by the final year
+  costPerTfrHundredth: ratio(presentCosts, tfrGain * 100)
+});
+
+// Cost-effectiveness of each intervention. `contributions` are per-year TFR gains by intervention; the
+// present value of benefits is shared out by each intervention's share of the discounted TFR gain.
+export const analyzeCostEffectiveness = ({ costData, contributions, presentBenefits, discountRate = DEFAULT_DISCOUNT_RATE }) => {
+  const discountFactor = (index) => 1 / Math.pow(1 + discountRate / 100, index);
+  const policies = Object.keys(contributions);
+  const weights = Object.fromEntries(policies.map(policy => [
+    policy,
+    contributions[policy].reduce((total, gain, index) => total + gain * discountFactor(index), 0)
+  ]));
+  const totalWeight = policies.reduce((total, policy) => total + weights[policy], 0);
+
+  return Object.fromEntries(policies.map(policy => [policy, effectivenessMetrics({
+    presentCosts: costData.reduce((total, point, index) => total + point[policy] * discountFactor(index), 0),
+    presentBenefits: totalWeight > 0 ? presentBenefits * weights[policy] / totalWeight : 0,
+    tfrGain: contributions[policy][contributions[policy].length - 1]
+  })]));
+};
+
+// Sums per-intervention results into groups (e.g. AI vs conventional); `groupOf` maps a policy to its group
+export const groupCostEffectiveness = (byPolicy, groupOf, groups) => Object.fromEntries(groups.map(group => {
+  const members = Object.keys(byPolicy).filter(policy => groupOf(policy) === group);
+  const sum = (key) => members.reduce((total, policy) => total + byPolicy[policy][key], 0);
+  return [group, {
+    policies: members,
+    ...effectivenessMetrics({ presentCosts: sum('presentCosts'), presentBenefits: sum('presentBenefits'), tfrGain: sum('tfrGain') })
+  }];
+}));
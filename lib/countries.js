@@ -0,0 +1,210 @@
+// Country profiles loaded from data/countries/*.json and validated against COUNTRY_SCHEMA at load time
+
+import { AGE_GROUPS } from './cohort';
+import { validateSchema, formatSchemaErrors } from './schema';
+import southKorea from '../data/countries/south_korea.json';
+import japan from '../data/countries/japan.json';
+import taiwan from '../data/countries/taiwan.json';
+import hongKong from '../data/countries/hong_kong.json';
+import singapore from '../data/countries/singapore.json';
+import china from '../data/countries/china.json';
+import macau from '../data/countries/macau.json';
+
+export const COUNTRY_SCHEMA_VERSION = 1;
+
+const FERTILE_AGE_GROUPS = 7; // 15-19 .. 45-49
+
+const share = { type: 'number', min: 0, max: 100 };
+const baseFactorsSchema = {
+  type: 'object',
+  fields: {
+    educationCost: share,
+    workLifeBalance: share,
+    childcareCost: share,
+    housingCost: share
+  }
+};
+// Elasticity of TFR with respect to each barrier index (negative for costs, positive for work-life balance)
+const elasticity = { type: 'number', min: -2, max: 2 };
+const elasticitiesSchema = {
+  type: 'object',
+  optional: true,
+  fields: {
+    educationCost: elasticity,
+    workLifeBalance: elasticity,
+    childcareCost: elasticity,
+    housingCost: elasticity
+  }
+};
+const demographicsSchema = {
+  type: 'object',
+  fields: {
+    population: { type: 'number', min: 0.001 }, // millions
+    gdpPerCapita: { type: 'number', min: 0 }, // USD at PRICE_BASE_YEAR prices (lib/currency.js)
+    femaleParticipation: share, // % of women aged 15-64 in the labour force
+    maleParticipation: { ...share, optional: true } // % of men aged 15-64; DEFAULT_MALE_PARTICIPATION when omitted
+  }
+};
+// Base-year public revenue and spending items, % of GDP; profiles without them use DEFAULT_FISCAL (lib/fiscal.js)
+const fiscalSchema = {
+  type: 'object',
+  optional: true,
+  fields: {
+    incomeTax: share, // personal income tax and social contributions
+    consumptionTax: share,
+    pensions: share,
+    healthcare: share,
+    education: share
+  }
+};
+// Mothers of children under five: % still employed after the birth, and their earnings gap (%) against
+// women without one; profiles without them use DEFAULT_MOTHERHOOD (lib/motherhood.js)
+const motherhoodSchema = {
+  type: 'object',
+  optional: true,
+  fields: {
+    retention: share,
+    wagePenalty: share
+  }
+};
+const ageSexColumn = { type: 'array', length: AGE_GROUPS.length, items: { type: 'number', min: 0 } };
+const survivalColumn = { type: 'array', length: AGE_GROUPS.length, items: { type: 'number', min: 0, max: 1 } };
+
+// Shape of a loaded profile as the engine sees it (also used for profiles stored in scenarios)
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    baseTFR: { type: 'number', min: 0, max: 10 },
+    baseFactors: baseFactorsSchema,
+    // Drives the structural fertility model; profiles without it use DEFAULT_ELASTICITIES (lib/simulator.js)
+    elasticities: elasticitiesSchema,
+    demographics: demographicsSchema,
+    fiscal: fiscalSchema,
+    motherhood: motherhoodSchema,
+    // Age-sex structure (millions, five-year groups from AGE_GROUPS), annual survival and ASFR for 15-19 .. 45-49
+    cohort: {
+      type: 'object',
+      fields: {
+        male: ageSexColumn,
+        female: ageSexColumn,
+        survival: {
+          type: 'object',
+          fields: { male: survivalColumn, female: survivalColumn }
+        },
+        asfr: { type: 'array', length: FERTILE_AGE_GROUPS, items: { type: 'number', min: 0 } },
+        sexRatioAtBirth: { type: 'number', min: 0.8, max: 1.3 }
+      }
+    },
+    // Barrier indices in earlier years; they drive the structural model in backtests (lib/backtest.js)
+    baseFactorsHistory: {
+      type: 'array',
+      optional: true,
+      items: {
+        type: 'object',
+        fields: {
+          year: { type: 'number', integer: true, min: 1950, max: 2100 },
+          baseFactors: baseFactorsSchema
+        }
+      }
+    },
+    // Annual TFR from startYear up to meta.year; optional, drives the trend baseline (lib/baseline.js)
+    tfrHistory: {
+      type: 'object',
+      optional: true,
+      fields: {
+        startYear: { type: 'number', integer: true, min: 1950, max: 2100 },
+        values: { type: 'array', minLength: 2, items: { type: 'number', min: 0, max: 10 } }
+      }
+    },
+    meta: {
+      type: 'object',
+      fields: {
+        dataVersion: { type: 'string' },
+        year: { type: 'number', integer: true, min: 1950, max: 2100 },
+        sources: { type: 'array', minLength: 1, items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+// Shape of a data/countries/*.json file
+export const COUNTRY_SCHEMA = {
+  type: 'object',
+  fields: {
+    schemaVersion: { type: 'number', integer: true, min: COUNTRY_SCHEMA_VERSION, max: COUNTRY_SCHEMA_VERSION },
+    key: { type: 'string', pattern: /^[a-z][a-z0-9_]*$/ },
+    ...PROFILE_SCHEMA.fields
+  }
+};
+
+const loadCountries = (profiles) => {
+  const countries = {};
+  profiles.forEach(profile => {
+    const errors = validateSchema(profile, COUNTRY_SCHEMA);
+    if (errors.length > 0) {
+      throw new Error(`Invalid country profile ${profile.key || '(unnamed)'}: ${formatSchemaErrors(errors)}`);
+    }
+    if (countries[profile.key]) {
+      throw new Error(`Duplicate country profile: ${profile.key}`);
+    }
+    const { schemaVersion, key, ...country } = profile;
+    countries[key] = country;
+  });
+  return countries;
+};
+
+export const countryData = loadCountries([southKorea, japan, taiwan, hongKong, singapore, china, macau]);
+
+// User-supplied profiles (provinces, hypothetical countries) only need the headline inputs;
+// the age structure, survival, ASFR schedule, elasticities, fiscal shares and motherhood penalty are borrowed
+// from a bundled economy.
+export const CUSTOM_PROFILE_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    baseTFR: { type: 'number', min: 0, max: 10 },
+    baseFactors: baseFactorsSchema,
+    demographics: demographicsSchema,
+    cohortTemplate: { type: 'string', optional: true }
+  }
+};
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Validates an uploaded profile and expands it into a full country profile keyed 'custom_<name>'
+export const buildCustomProfile = (raw, source = 'Uploaded profile') => {
+  const errors = validateSchema(raw, CUSTOM_PROFILE_SCHEMA);
+  const cohortTemplate = raw && raw.cohortTemplate !== undefined ? raw.cohortTemplate : 'south_korea';
+  if (typeof cohortTemplate === 'string' && !Object.prototype.hasOwnProperty.call(countryData, cohortTemplate)) {
+    errors.push({
+      path: 'cohortTemplate',
+      message: `must be one of ${Object.keys(countryData).join(', ')}`
+    });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const { name, baseTFR, baseFactors, demographics } = raw;
+  return {
+    key: `custom_${slugify(name) || 'profile'}`,
+    profile: {
+      name,
+      baseTFR,
+      baseFactors: { ...baseFactors },
+      demographics: { ...demographics },
+      elasticities: { ...countryData[cohortTemplate].elasticities },
+      fiscal: { ...countryData[cohortTemplate].fiscal },
+      motherhood: { ...countryData[cohortTemplate].motherhood },
+      cohort: countryData[cohortTemplate].cohort,
+      meta: {
+        dataVersion: 'custom',
+        year: new Date().getFullYear(),
+        sources: [source, `Age structure, barrier elasticities, fiscal shares and motherhood penalty from ${countryData[cohortTemplate].name}`]
+      },
+      custom: true
+    },
+    errors
+  };
+};
@@ -0,0 +1,59 @@
+// Display currencies for engine outputs, which are USD at constant base-year prices
+
+import currencyData from '../data/currency.json';
+
+export const PRICE_BASE_YEAR = currencyData.baseYear;
+export const CURRENCY_SOURCES = currencyData.sources;
+
+// PPP-USD converts each country's figures into international dollars at that country's price level
+export const DISPLAY_CURRENCIES = ['USD', 'KRW', 'JPY', 'TWD', 'PPP-USD'];
+export const PRICE_BASES = ['real', 'nominal'];
+
+export const DEFAULT_MONEY = { currency: 'USD', priceBasis: 'real' };
+
+export const currencyName = (currency) => (currency === 'PPP-USD'
+  ? 'International dollar (PPP)'
+  : currencyData.currencies[currency].name);
+
+// Price index for a currency, base year = 1, from its assumed annual inflation
+const priceIndex = (currency, year) => Math.pow(1 + currencyData.currencies[currency].inflation / 100, year - PRICE_BASE_YEAR);
+
+const compact = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+const whole = new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 });
+
+// Formatter for one country's figures. Amounts come in USD millions at base-year prices; `year` only
+// matters for nominal display, which inflates by the display currency's inflation. Conversion uses
+// base-year market rates (PPP factors for PPP-USD), i.e. exchange rates are assumed to track inflation.
+// Countries without a PPP factor (custom profiles) fall back to market-rate USD for PPP-USD.
+// `codes` prefixes ISO codes instead of symbols, for output without the currency glyphs (PDF fonts).
+export const createMoney = ({ currency = DEFAULT_MONEY.currency, priceBasis = DEFAULT_MONEY.priceBasis, countryKey, codes = false } = {}) => {
+  const country = currencyData.countries[countryKey];
+  const ppp = currency === 'PPP-USD';
+  const pppAvailable = ppp && Boolean(country);
+  const rate = ppp
+    ? (pppAvailable ? currencyData.currencies[country.currency].perUSD / country.pppFactor : 1)
+    : currencyData.currencies[currency].perUSD;
+  const inflationCurrency = ppp ? 'USD' : currency;
+  const symbol = ppp ? 'Int$' : (codes ? `${currency} ` : currencyData.currencies[currency].symbol);
+
+  const toUnits = (usdMillions, year = PRICE_BASE_YEAR) => {
+    const inflation = priceBasis === 'nominal' ? priceIndex(inflationCurrency, year) : 1;
+    return usdMillions * 1000000 * rate * inflation;
+  };
+
+  const formatUnits = (units) => {
+    const text = Math.abs(units) >= 1000000 ? compact.format(Math.abs(units)) : whole.format(Math.abs(units));
+    return `${units < 0 ? '-' : ''}${symbol}${text}`;
+  };
+
+  return {
+    currency,
+    priceBasis,
+    toUnits,
+    formatUnits,
+    format: (usdMillions, year) => formatUnits(toUnits(usdMillions, year)),
+    // Sum of a yearly series (e.g. costData) after conversion, so nominal totals use each year's prices
+    formatSeries: (points, key) => formatUnits(points.reduce((total, point) => total + toUnits(point[key], point.year), 0)),
+    label: `${ppp && !pppAvailable ? 'USD (PPP not available)' : currency}, ${priceBasis === 'real' ? `${PRICE_BASE_YEAR} prices` : 'nominal'}`
+  };
+};
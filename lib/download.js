@@ -0,0 +1,13 @@
+// Triggers a browser download for generated content
+
+export const downloadFile = (fileName, content, mimeType = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
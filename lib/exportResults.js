@@ -0,0 +1,221 @@
+// Builds downloadable CSV, JSON and XLSX files from a simulation result
+
+import { MODEL_VERSION } from './simulator';
+import { BARRIER_FACTORS, INTERVENTION_CATEGORIES, interventionCategory } from './interventions';
+import { CREDIBLE_LEVELS } from './uncertainty';
+import { observedSeries } from './backtest';
+import { LABOUR_INDICATORS, seriesKey } from './labour';
+import { FISCAL_ITEMS } from './fiscal';
+import { downloadFile } from './download';
+
+// Every table is { title, columns, rows } with rows as arrays aligned to columns
+const TABLE_BUILDERS = {
+  summary: (res) => ({
+    title: 'Key Metrics',
+    columns: ['metric', 'value'],
+    rows: [
+      ['projectedTFR', res.projectedTFR],
+      ['tfrIncrease', res.tfrIncrease],
+      ['totalCostUSDm', res.totalCost],
+      ['economicBenefitUSDbn', res.economicBenefit],
+      ['presentFiscalBenefitUSDm', res.costBenefit.presentBenefits],
+      ['benefitCostRatio', Number.isFinite(res.roi) ? res.roi : ''],
+      ['npvUSDm', res.costBenefit.npv],
+      ['paybackYear', res.costBenefit.paybackYear || ''],
+      ['motherRetentionBaselinePct', res.motherhood.baseline.retention],
+      ['motherRetentionProjectedPct', res.motherhood.projected.retention],
+      ['motherhoodWagePenaltyBaselinePct', res.motherhood.baseline.wagePenalty],
+      ['motherhoodWagePenaltyProjectedPct', res.motherhood.projected.wagePenalty],
+      ['populationIncrease', res.populationIncrease]
+    ]
+  }),
+  history: (res, country) => ({
+    title: 'Observed TFR',
+    columns: ['year', 'tfr'],
+    rows: observedSeries(country).map(point => [point.year, point.tfr])
+  }),
+  projection: (res) => ({
+    title: 'TFR Projection',
+    columns: [
+      'year', 'baseline', 'projected', 'target', 'median',
+      ...CREDIBLE_LEVELS.flatMap(level => [`band${level}Low`, `band${level}High`]),
+      ...Object.keys(res.policyImpacts).map(policy => `${policy}Contribution`)
+    ],
+    rows: res.projectionData.map((point, index) => {
+      const band = res.uncertainty.bands[index];
+      return [
+        point.year, point.baseline, point.projected, point.target, band.median,
+        ...CREDIBLE_LEVELS.flatMap(level => band[`band${level}`]),
+        ...Object.keys(res.policyImpacts).map(policy => point.contributions[policy])
+      ];
+    })
+  }),
+  population: (res) => ({
+    title: 'Births and Population',
+    columns: ['year', 'baselineBirths', 'projectedBirths', 'baselinePopulationM', 'projectedPopulationM'],
+    rows: res.populationData.map(point => [
+      point.year, point.baselineBirths, point.projectedBirths, point.baselinePopulation, point.projectedPopulation
+    ])
+  }),
+  labour: (res) => ({
+    title: 'Dependency and Labour Force',
+    columns: ['year', ...Object.keys(LABOUR_INDICATORS).flatMap(key => [seriesKey('baseline', key), seriesKey('projected', key)])],
+    rows: res.labourData.map(point => [
+      point.year,
+      ...Object.keys(LABOUR_INDICATORS).flatMap(key => [point[seriesKey('baseline', key)], point[seriesKey('projected', key)]])
+    ])
+  }),
+  fiscal: (res) => ({
+    title: 'Fiscal Balance Effect',
+    columns: ['year', 'baselineBalanceUSDm', 'projectedBalanceUSDm', ...Object.keys(FISCAL_ITEMS).map(item => `${item}EffectUSDm`), 'balanceChangeUSDm'],
+    rows: res.fiscalData.map(point => [
+      point.year, point.baselineBalance, point.projectedBalance, ...Object.keys(FISCAL_ITEMS).map(item => point[item]), point.balanceChange
+    ])
+  }),
+  participation: (res) => ({
+    title: 'Female Participation and GDP',
+    columns: ['year', 'baselineFemaleParticipationPct', 'projectedFemaleParticipationPct', 'baselineGdpUSDm', 'projectedGdpUSDm', 'gdpChangeUSDm'],
+    rows: res.labourData.map((point, index) => [
+      point.year,
+      point.baselineFemaleParticipation,
+      point.projectedFemaleParticipation,
+      res.fiscalData[index].baselineGdp,
+      res.fiscalData[index].projectedGdp,
+      res.fiscalData[index].gdpChange
+    ])
+  }),
+  pyramid: (res) => ({
+    title: `Population Pyramid ${res.populationData[res.populationData.length - 1].year}`,
+    columns: ['age', 'baselineMaleM', 'baselineFemaleM', 'projectedMaleM', 'projectedFemaleM'],
+    rows: [...res.populationPyramid].reverse().map(row => [
+      row.age, -row.baselineMale, row.baselineFemale, -row.projectedMale, row.projectedFemale
+    ])
+  }),
+  barriers: (res, country) => ({
+    title: 'Barrier Reduction',
+    columns: ['factor', 'before', 'after'],
+    rows: Object.keys(BARRIER_FACTORS).map(factor => [
+      BARRIER_FACTORS[factor], country.baseFactors[factor], res.factorReductions[factor]
+    ])
+  }),
+  policies: (res, country, policies) => ({
+    title: 'Policy Impacts and Costs',
+    columns: ['intervention', 'category', 'intensityPct', 'tfrImpact', 'totalCostUSDm'],
+    rows: Object.keys(res.policyImpacts).map(policy => [
+      res.interventions[policy].name, interventionCategory(res.interventions[policy]), policies[policy], res.policyImpacts[policy], res.policyCosts[policy]
+    ])
+  }),
+  effectiveness: (res) => {
+    const { byPolicy, byCategory } = res.costEffectiveness;
+    const row = (label, category, entry) => [
+      label, category, entry.presentCosts, entry.presentBenefits, entry.tfrGain,
+      entry.benefitCostRatio === null ? '' : entry.benefitCostRatio,
+      entry.costPerTfrHundredth === null ? '' : entry.costPerTfrHundredth
+    ];
+    return {
+      title: 'Cost-Effectiveness',
+      columns: ['lever', 'category', 'presentCostsUSDm', 'presentBenefitsUSDm', 'tfrGain', 'benefitCostRatio', 'costPerTfr0.01USDm'],
+      rows: [
+        ...Object.keys(byPolicy).map(policy => row(res.interventions[policy].name, interventionCategory(res.interventions[policy]), byPolicy[policy])),
+        ...Object.keys(byCategory).map(category => row(`All ${INTERVENTION_CATEGORIES[category].toLowerCase()}`, category, byCategory[category]))
+      ]
+    };
+  },
+  cashflow: (res) => ({
+    title: 'Discounted Cash Flow',
+    columns: ['year', 'capitalUSDm', 'operatingUSDm', 'costsUSDm', 'benefitsUSDm', 'netUSDm', 'discountedNetUSDm', 'cumulativeDiscountedNetUSDm'],
+    rows: res.costBenefit.cashFlows.map(flow => [
+      flow.year, flow.capital, flow.operating, flow.costs, flow.benefits, flow.net, flow.discountedNet, flow.cumulativeDiscountedNet
+    ])
+  }),
+  costs: (res) => ({
+    title: 'Annual Costs',
+    columns: ['year', ...Object.keys(res.policyCosts).map(policy => `${policy}USDm`), 'totalUSDm'],
+    rows: res.costData.map(point => [
+      point.year, ...Object.keys(res.policyCosts).map(policy => point[policy]), point.total
+    ])
+  })
+};
+
+export const EXPORT_TABLES = Object.keys(TABLE_BUILDERS);
+
+const buildInputs = (countryKey, country, policies, schedule = {}, res) => ({
+  title: 'Inputs',
+  columns: ['field', 'value'],
+  rows: [
+    ['country', countryKey],
+    ['countryName', country.name],
+    ['dataVersion', country.meta.dataVersion],
+    ['modelVersion', MODEL_VERSION],
+    ['generatedAt', new Date().toISOString()],
+    ['discountRatePct', res.costBenefit.discountRate],
+    ['baselineMode', res.baseline.mode],
+    ...(res.baseline.forecast || []).map(row => [`forecast.${row.year}`, row.tfr]),
+    ['parameterSet', res.parameterSet || 'model defaults'],
+    ['fertilityModel', res.parameters.fertilityModel],
+    ...Object.keys(res.elasticities).map(factor => [`elasticity.${factor}`, res.elasticities[factor]]),
+    ['motherhoodElasticity', res.parameters.motherhoodElasticity],
+    ['saturationRate', res.parameters.saturationRate],
+    ...Object.keys(res.interventions).map(policy => [`maxImpact.${policy}`, res.parameters.maxImpact[policy]]),
+    ...Object.keys(policies).map(policy => [`policy.${policy}`, policies[policy]]),
+    ...Object.keys(schedule).map(policy => [
+      `schedule.${policy}`,
+      schedule[policy].map(step => `${step.year}:${step.intensity}`).join(' ')
+    ])
+  ]
+});
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (tables) => tables
+  .map(table => [
+    [table.title],
+    table.columns,
+    ...table.rows
+  ].map(row => row.map(csvCell).join(',')).join('\r\n'))
+  .join('\r\n\r\n');
+
+const toJSON = (tables) => {
+  const [inputs, ...data] = tables;
+  return JSON.stringify({
+    inputs: Object.fromEntries(inputs.rows),
+    tables: Object.fromEntries(data.map(table => [
+      table.title,
+      table.rows.map(row => Object.fromEntries(table.columns.map((column, index) => [column, row[index]])))
+    ]))
+  }, null, 2);
+};
+
+const toXLSX = async (tables) => {
+  const { default: writeXlsxFile } = await import('write-excel-file/browser');
+  return writeXlsxFile(tables.map(table => ({
+    sheet: table.title.slice(0, 31), // Excel caps sheet names at 31 characters
+    data: [
+      table.columns.map(column => ({ value: column, fontWeight: 'bold' })),
+      ...table.rows
+    ]
+  }))).toBlob();
+};
+
+// Downloads the requested tables (plus an inputs table) as 'csv', 'json' or 'xlsx'
+export const exportResults = async ({ countryKey, country, policies, schedule, res, tables = EXPORT_TABLES, format }) => {
+  const allTables = [
+    buildInputs(countryKey, country, policies, schedule, res),
+    ...tables.map(table => TABLE_BUILDERS[table](res, country, policies))
+  ];
+  const baseName = `fertility-simulation-${countryKey}-${tables.length === 1 ? tables[0] : 'results'}`;
+
+  switch (format) {
+    case 'csv':
+      return downloadFile(`${baseName}.csv`, toCSV(allTables), 'text/csv');
+    case 'json':
+      return downloadFile(`${baseName}.json`, toJSON(allTables), 'application/json');
+    case 'xlsx':
+      return downloadFile(`${baseName}.xlsx`, await toXLSX(allTables));
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+};
@@ -0,0 +1,93 @@
+// Public finance effects of the demographic projection: income and consumption tax revenue, and pension,
+// healthcare and education spending for the baseline and the scenario, netted into the fiscal balance
+
+import { AGE_GROUPS } from './cohort';
+import { ageStructureIndicators } from './labour';
+import { PROJECTION_START_YEAR } from './constants';
+
+// Revenue items add to the balance and spending items subtract from it
+export const FISCAL_ITEMS = {
+  incomeTax: { label: 'Income tax and contributions', sign: 1 },
+  consumptionTax: { label: 'Consumption tax', sign: 1 },
+  pensions: { label: 'Public pensions', sign: -1 },
+  healthcare: { label: 'Healthcare', sign: -1 },
+  education: { label: 'Education', sign: -1 }
+};
+
+// % of GDP, for profiles saved before fiscal shares existed
+export const DEFAULT_FISCAL = Object.freeze({
+  incomeTax: 10,
+  consumptionTax: 5,
+  pensions: 4,
+  healthcare: 4.5,
+  education: 3.5
+});
+
+// Relative amount per person by the start age of each five-year group. Income tax follows the labour force,
+// weighted by earnings after the motherhood wage penalty.
+const healthcareWeight = (age) => {
+  if (age < 15) return 0.6;
+  if (age < 45) return 0.7;
+  if (age < 65) return 1.2;
+  if (age < 75) return 2.5;
+  return 4;
+};
+const AGE_WEIGHTS = {
+  consumptionTax: (age) => (age < 15 ? 0.5 : 1), // children count half, as in the OECD equivalence scale
+  pensions: (age) => (age >= 65 ? 1 : 0),
+  healthcare: healthcareWeight,
+  education: (age) => (age >= 5 && age < 25 ? 1 : 0)
+};
+
+const GROUP_START = AGE_GROUPS.map(label => parseInt(label, 10));
+
+// Units each item scales with in one year of projectCohorts output (millions of weighted people)
+const fiscalUnits = (cohortYear, participation, motherhood) => ({
+  incomeTax: ageStructureIndicators(cohortYear, participation, motherhood).effectiveLabour,
+  ...Object.fromEntries(Object.keys(AGE_WEIGHTS).map(item => [
+    item,
+    GROUP_START.reduce((total, age, index) => total + (cohortYear.male[index] + cohortYear.female[index]) * AGE_WEIGHTS[item](age), 0)
+  ]))
+});
+
+// Yearly fiscal flows ($M at base-year prices) for two cohort projections starting in PROJECTION_START_YEAR,
+// with the matching motherhood paths from motherhoodPaths (lib/motherhood.js). Each item's base-year share of
+// GDP is spread over its units in the first year; amounts per unit then grow with `productivityGrowth` (% a
+// year). GDP moves with earnings-weighted labour on the same growth. Item columns are the scenario's effect
+// on the balance (revenue gained or spending saved is positive) and `balanceChange` is their sum.
+export const projectFiscal = (country, baselineCohorts, projectedCohorts, participation, motherhood, { productivityGrowth }) => {
+  const shares = { ...DEFAULT_FISCAL, ...country.fiscal };
+  const gdp = country.demographics.gdpPerCapita * country.demographics.population; // $M
+  const baseUnits = fiscalUnits(baselineCohorts[0], participation, motherhood.baseline[0]);
+  const perUnit = Object.fromEntries(Object.keys(FISCAL_ITEMS).map(item => [
+    item,
+    baseUnits[item] > 0 ? gdp * shares[item] / 100 / baseUnits[item] : 0
+  ]));
+  const amounts = (cohortYear, path, growth) => {
+    const units = fiscalUnits(cohortYear, participation, path);
+    return {
+      gdp: baseUnits.incomeTax > 0 ? gdp * units.incomeTax / baseUnits.incomeTax * growth : 0,
+      ...Object.fromEntries(Object.keys(FISCAL_ITEMS).map(item => [item, units[item] * perUnit[item] * growth]))
+    };
+  };
+  const balance = (flows) => Object.keys(FISCAL_ITEMS).reduce((total, item) => total + FISCAL_ITEMS[item].sign * flows[item], 0);
+
+  return baselineCohorts.map((cohortYear, index) => {
+    const growth = Math.pow(1 + productivityGrowth / 100, index);
+    const baseline = amounts(cohortYear, motherhood.baseline[index], growth);
+    const projected = amounts(projectedCohorts[index], motherhood.projected[index], growth);
+    return {
+      year: PROJECTION_START_YEAR + index,
+      baselineGdp: baseline.gdp,
+      projectedGdp: projected.gdp,
+      gdpChange: projected.gdp - baseline.gdp,
+      baselineBalance: balance(baseline),
+      projectedBalance: balance(projected),
+      ...Object.fromEntries(Object.keys(FISCAL_ITEMS).map(item => [
+        item,
+        FISCAL_ITEMS[item].sign * (projected[item] - baseline[item])
+      ])),
+      balanceChange: balance(projected) - balance(baseline)
+    };
+  });
+};
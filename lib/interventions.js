@@ -0,0 +1,163 @@
+// User-editable intervention catalogue: validation, defaults for new entries and browser persistence.
+// A catalogue has the shape of defaultInterventions in lib/simulator.js; entries with `disabled: true` stay in
+// the catalogue but are left out of simulations.
+
+import { validateSchema, formatSchemaErrors } from './schema';
+
+export const CATALOGUE_STORAGE_KEY = 'fertility-simulator:interventions';
+
+// Barrier indices in each profile's baseFactors; work-life balance is the one that rises with intervention
+export const BARRIER_FACTORS = {
+  educationCost: 'Education Cost',
+  workLifeBalance: 'Work-Life Balance',
+  childcareCost: 'Childcare Cost',
+  housingCost: 'Housing Cost'
+};
+
+export const RESPONSE_SHAPES = ['linear', 'logistic', 'exponential'];
+
+// Entries without a category (catalogues saved before categories existed) count as AI interventions
+export const INTERVENTION_CATEGORIES = {
+  ai: 'AI interventions',
+  conventional: 'Conventional policies'
+};
+
+export const interventionCategory = (intervention) => intervention.category || 'ai';
+
+const nonNegative = { type: 'number', min: 0 };
+
+export const INTERVENTION_SCHEMA = {
+  type: 'object',
+  fields: {
+    name: { type: 'string' },
+    category: { type: 'string', pattern: new RegExp(`^(${Object.keys(INTERVENTION_CATEGORIES).join('|')})$`), optional: true },
+    description: { type: 'string', allowEmpty: true },
+    maxImpact: { type: 'number', min: 0, max: 1 },
+    costPerPoint: nonNegative,
+    capitalCostPerPoint: nonNegative,
+    factors: { type: 'array', items: { type: 'string', pattern: new RegExp(`^(${Object.keys(BARRIER_FACTORS).join('|')})$`) } },
+    // Barrier change at full intensity relative to the model's factorMultiplier (1 when omitted)
+    barrierStrength: { type: 'number', min: 0, max: 2.5, optional: true },
+    // Points added to mothers' post-birth employment retention and cut from their wage penalty at full
+    // intensity (lib/motherhood.js)
+    motherhood: {
+      type: 'object',
+      optional: true,
+      fields: { retention: { type: 'number', min: 0, max: 100 }, wagePenalty: { type: 'number', min: 0, max: 100 } }
+    },
+    impactDistribution: {
+      type: 'object',
+      fields: { type: { type: 'string', pattern: /^triangular$/ }, min: nonNegative, max: nonNegative }
+    },
+    response: {
+      type: 'object',
+      fields: {
+        lag: { type: 'number', min: 0, max: 20 },
+        shape: { type: 'string', pattern: new RegExp(`^(${RESPONSE_SHAPES.join('|')})$`) },
+        rampYears: { type: 'number', min: 1, max: 30 },
+        decay: { type: 'number', min: 0, max: 1 }
+      }
+    },
+    disabled: { type: 'boolean', optional: true },
+    custom: { type: 'boolean', optional: true }
+  }
+};
+
+// Monte Carlo prior for a user-set maxImpact, roughly as wide as the bundled ones
+export const defaultImpactDistribution = (maxImpact) => ({ type: 'triangular', min: maxImpact * 0.4, max: maxImpact * 1.5 });
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'intervention';
+
+// Catalogue key for a new entry, unique within `catalogue`
+export const interventionKey = (name, catalogue) => {
+  const base = `custom_${slugify(name)}`;
+  let key = base;
+  for (let suffix = 2; catalogue[key]; suffix++) key = `${base}_${suffix}`;
+  return key;
+};
+
+export const createIntervention = ({
+  name,
+  category = 'ai',
+  description = '',
+  maxImpact = 0.05,
+  costPerPoint = 50000,
+  capitalCostPerPoint = 100000,
+  factors = [],
+  barrierStrength = 1,
+  response = { lag: 1, shape: 'linear', rampYears: 10, decay: 0 }
+}) => ({
+  name,
+  category,
+  description,
+  maxImpact,
+  costPerPoint,
+  capitalCostPerPoint,
+  factors,
+  barrierStrength,
+  impactDistribution: defaultImpactDistribution(maxImpact),
+  response,
+  custom: true
+});
+
+export const cloneIntervention = (intervention) => ({
+  ...intervention,
+  name: `${intervention.name} (copy)`,
+  factors: [...intervention.factors],
+  impactDistribution: { ...intervention.impactDistribution },
+  response: { ...intervention.response },
+  ...(intervention.motherhood && { motherhood: { ...intervention.motherhood } }),
+  disabled: false,
+  custom: true
+});
+
+// Entries that take part in simulations
+export const activeInterventions = (catalogue) => Object.fromEntries(
+  Object.keys(catalogue).filter(key => !catalogue[key].disabled).map(key => [key, catalogue[key]])
+);
+
+export const validateCatalogue = (catalogue) => {
+  if (!catalogue || typeof catalogue !== 'object' || Array.isArray(catalogue)) {
+    throw new Error('Intervention catalogue must be an object keyed by intervention');
+  }
+  const errors = Object.keys(catalogue).flatMap(key => validateSchema(catalogue[key], INTERVENTION_SCHEMA, key));
+  if (errors.length > 0) {
+    throw new Error(formatSchemaErrors(errors));
+  }
+  return catalogue;
+};
+
+// Under the structural fertility model an intervention moves TFR only through the barriers it addresses and
+// its motherhood effect, so enabled entries with neither are rejected
+export const validateStructuralCatalogue = (catalogue) => {
+  const inert = Object.keys(activeInterventions(catalogue)).filter(key => {
+    const { factors, motherhood } = catalogue[key];
+    return factors.length === 0 && !(motherhood && (motherhood.retention > 0 || motherhood.wagePenalty > 0));
+  });
+  if (inert.length > 0) {
+    throw new Error(`${inert.map(key => catalogue[key].name).join(', ')}: addresses no barriers, so it has no effect under the structural fertility model`);
+  }
+  return catalogue;
+};
+
+// { catalogue } from storage, or `fallback` when nothing is stored; an unreadable entry also returns its `error`
+// so that the caller can report it and leave storage alone
+export const loadCatalogue = (fallback) => {
+  if (typeof window === 'undefined') return { catalogue: fallback };
+  try {
+    const stored = window.localStorage.getItem(CATALOGUE_STORAGE_KEY);
+    return { catalogue: stored ? validateCatalogue(JSON.parse(stored)) : fallback };
+  } catch (err) {
+    return { catalogue: fallback, error: err.message };
+  }
+};
+
+export const saveCatalogue = (catalogue) => {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(CATALOGUE_STORAGE_KEY, JSON.stringify(catalogue));
+};
+
+export const clearCatalogue = () => {
+  if (typeof window === 'undefined') return;
+  window.localStorage.removeItem(CATALOGUE_STORAGE_KEY);
+};
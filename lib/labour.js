@@ -0,0 +1,101 @@
+// Age-structure indicators from the cohort projection: working-age population, female participation, labour
+// force and old-age dependency for the baseline and the scenario, run on past the policy horizon to LONG_RUN_YEAR
+
+import { AGE_GROUPS } from './cohort';
+import { motherhoodProfile } from './motherhood';
+import { LONG_RUN_YEAR, PROJECTION_START_YEAR, PROJECTION_YEARS } from './constants';
+
+export const DEFAULT_MALE_PARTICIPATION = 80; // % of men aged 15-64, for profiles without their own figure
+export const LABOUR_MILESTONES = [PROJECTION_START_YEAR + PROJECTION_YEARS, LONG_RUN_YEAR];
+
+export const LABOUR_INDICATORS = {
+  workingAge: { label: 'Working-age population (15-64)', unit: 'M', digits: 2 },
+  femaleParticipation: { label: 'Female participation (15-64)', unit: '%', digits: 1 },
+  labourForce: { label: 'Labour force', unit: 'M', digits: 2 },
+  oldAgeDependency: { label: 'Old-age dependency ratio (65+ per 100 aged 15-64)', unit: '', digits: 1 },
+  supportRatio: { label: 'Workers per person aged 65+', unit: '', digits: 2 }
+};
+
+const GROUP_START = AGE_GROUPS.map(label => parseInt(label, 10));
+const isWorkingAge = (start) => start >= 15 && start < 65;
+const isOldAge = (start) => start >= 65;
+
+const sumGroups = (column, test) => column.reduce((total, value, index) => total + (test(GROUP_START[index]) ? value : 0), 0);
+
+// Mothers of children under five as a share of women aged 15-64, counting one mother per child
+const motherShare = (cohortYear, workingFemale) => Math.min(1, (cohortYear.male[0] + cohortYear.female[0]) / workingFemale);
+
+// { female, male, otherWomen } participation (% of 15-64) from a profile. `otherWomen` is the rate for women
+// without a child under five, set so that the base-year age structure and retention reproduce `female`.
+export const participationRates = (country) => {
+  const female = country.demographics.femaleParticipation;
+  const mothers = motherShare(country.cohort, sumGroups(country.cohort.female, isWorkingAge));
+  return {
+    female,
+    male: country.demographics.maleParticipation === undefined
+      ? DEFAULT_MALE_PARTICIPATION
+      : country.demographics.maleParticipation,
+    otherWomen: Math.min(100, female / (1 - mothers * (1 - motherhoodProfile(country).retention / 100)))
+  };
+};
+
+// Indicators for one year of projectCohorts output (millions). Participation is applied flat across ages 15-64,
+// except that only `motherhood.retention` % of mothers of children under five are in work. `effectiveLabour`
+// weights working mothers by their earnings after the wage penalty; income tax and GDP scale with it.
+export const ageStructureIndicators = (cohortYear, participation, motherhood) => {
+  const workingMale = sumGroups(cohortYear.male, isWorkingAge);
+  const workingFemale = sumGroups(cohortYear.female, isWorkingAge);
+  const oldAge = sumGroups(cohortYear.male, isOldAge) + sumGroups(cohortYear.female, isOldAge);
+  const workingAge = workingMale + workingFemale;
+  const mothers = motherShare(cohortYear, workingFemale);
+  const retained = mothers * motherhood.retention / 100;
+  const femaleParticipation = participation.otherWomen * (1 - mothers + retained);
+  const labourForce = (workingMale * participation.male + workingFemale * femaleParticipation) / 100;
+  return {
+    workingAge,
+    femaleParticipation,
+    labourForce,
+    effectiveLabour: (workingMale * participation.male
+      + workingFemale * participation.otherWomen * (1 - mothers + retained * (1 - motherhood.wagePenalty / 100))) / 100,
+    oldAgeDependency: 100 * oldAge / workingAge,
+    supportRatio: labourForce / oldAge
+  };
+};
+
+const round = (value) => Number(value.toFixed(3));
+
+// labourData key for an indicator, e.g. seriesKey('baseline', 'labourForce') is 'baselineLabourForce'
+export const seriesKey = (prefix, key) => `${prefix}${key[0].toUpperCase()}${key.slice(1)}`;
+
+// Yearly baseline/projected series from two cohort projections starting in PROJECTION_START_YEAR, and the
+// values and changes at each LABOUR_MILESTONES year. `motherhood` holds the matching baseline and projected
+// paths from motherhoodPaths (lib/motherhood.js).
+export const projectLabour = (baselineCohorts, projectedCohorts, participation, motherhood) => {
+  const series = baselineCohorts.map((cohortYear, index) => ({
+    year: PROJECTION_START_YEAR + index,
+    baseline: ageStructureIndicators(cohortYear, participation, motherhood.baseline[index]),
+    projected: ageStructureIndicators(projectedCohorts[index], participation, motherhood.projected[index])
+  }));
+  const indicators = Object.keys(LABOUR_INDICATORS);
+
+  return {
+    labourData: series.map(({ year, baseline, projected }) => ({
+      year,
+      ...Object.fromEntries(indicators.flatMap(key => [
+        [seriesKey('baseline', key), round(baseline[key])],
+        [seriesKey('projected', key), round(projected[key])]
+      ]))
+    })),
+    labourMilestones: LABOUR_MILESTONES.map(year => {
+      const { baseline, projected } = series[year - PROJECTION_START_YEAR];
+      return {
+        year,
+        ...Object.fromEntries(indicators.map(key => [key, {
+          baseline: round(baseline[key]),
+          projected: round(projected[key]),
+          change: round(projected[key] - baseline[key])
+        }]))
+      };
+    })
+  };
+};
@@ -0,0 +1,138 @@
+// Methodology and assumptions text for the printable policy brief; keep in step with the engine
+
+import { TREND_DAMPING, TREND_WINDOW } from './baseline';
+import { DEFAULT_PARAMETERS, LONG_RUN_YEAR, MODEL_VERSION, MONTE_CARLO_DRAWS, PROJECTION_START_YEAR, PROJECTION_YEARS } from './simulator';
+import { CURRENCY_SOURCES, PRICE_BASE_YEAR } from './currency';
+
+export const METHODOLOGY_SECTIONS = [
+  {
+    heading: 'Intervention impact',
+    body: `Barrier indices fall (or, for work-life balance, rise) by ${DEFAULT_PARAMETERS.factorMultiplier * 100}% of ` +
+      'the intervention intensity, scaled by each intervention\'s barrier strength. In the default structural ' +
+      'model TFR responds to those changes through per-economy elasticities: log TFR moves by the sum over ' +
+      'barriers of elasticity x the log change in the barrier index, plus ' +
+      `${DEFAULT_PARAMETERS.motherhoodElasticity} x the log change in the opportunity cost of a birth (see Motherhood ` +
+      'penalty). The elasticities are model assumptions, not estimates. The reduced-form alternative instead adds maxImpact x intensity to a combined impact I with a ' +
+      'saturating gain I x (1 - exp(-2I)). Projected TFR is capped at 2.5 in both. Users can edit the ' +
+      'intervention catalogue; reports reflect the catalogue and model in use for the run.'
+  },
+  {
+    heading: 'Conventional benchmarks',
+    body: 'Cash child allowances, extended parental leave, public childcare places and family housing subsidies run ' +
+      'through the same engine as the AI interventions, with their own impact, cost and response assumptions. ' +
+      'Cost-effectiveness compares present-value costs with the TFR gain in the final year; present-value benefits ' +
+      'are shared between levers by their share of the discounted TFR gain.'
+  },
+  {
+    heading: 'Projection path',
+    body: `Projections run from ${PROJECTION_START_YEAR} for ${PROJECTION_YEARS} years. The long-run gain is split ` +
+      'between interventions in proportion to their share of the combined impact, and each share phases in along ' +
+      'that intervention\'s own response curve: no effect during its lag, then a linear, logistic or exponential ' +
+      'ramp, then optional annual decay. With a phased rollout, each change in intensity phases in the same way ' +
+      'from the year it happens, so scale-ups and sunsets take effect gradually. Gains are added to a ' +
+      'counterfactual baseline, and reported increases are measured against it.'
+  },
+  {
+    heading: 'Counterfactual baseline',
+    body: 'By default the baseline is held flat at the current TFR. It can instead carry forward the log-linear ' +
+      `TFR trend of the last ${TREND_WINDOW} years of each economy's history, damped by a factor of ${TREND_DAMPING} ` +
+      'per year so that it levels off, or follow an external forecast table, interpolated linearly between the ' +
+      'listed years and held flat beyond them. Reports name the baseline used.'
+  },
+  {
+    heading: 'Calibration',
+    body: 'maxImpact for each intervention and the saturation rate k can be fitted to a table of past policy ' +
+      'episodes (intensity and the long-run TFR change attributed to the policy) by Levenberg-Marquardt least ' +
+      'squares, with standard errors from the residual variance and the inverse of J\'J. The bundled episodes are ' +
+      'illustrative, and AI interventions are fitted to earlier programmes that lowered the same barrier. The fit ' +
+      'is of the reduced-form response, which these parameters barely move under the structural model, so a saved ' +
+      'parameter set runs under the reduced-form model. Runs with a saved parameter set name it in the report.'
+  },
+  {
+    heading: 'Backtesting',
+    body: 'Backtests restart the no-intervention projection in a past year from that year\'s TFR, TFR history and ' +
+      'barrier indices, project to the latest observed year and report mean absolute error, root mean squared ' +
+      'error, mean absolute percentage error, bias and final-year error against the observed series. The ' +
+      'structural run moves TFR through the barrier elasticities as the barrier indices change from their ' +
+      'start-year values, using the later indices as recorded, so it tests the elasticities rather than a forecast ' +
+      'of the barriers; the trend and flat baselines are scored alongside it. Past barrier indices are model ' +
+      'assumptions, not measured series.'
+  },
+  {
+    heading: 'Population',
+    body: 'Births and population come from a single-year-of-age cohort-component projection seeded with each ' +
+      'economy\'s age-sex structure, annual survival rates and age-specific fertility schedule, rescaled to the ' +
+      'headline TFR each year. The population is closed: migration is not modelled.'
+  },
+  {
+    heading: 'Dependency and labour force',
+    body: `Age-structure indicators continue the cohort projection to ${LONG_RUN_YEAR}, holding the baseline and ` +
+      'scenario TFR at their final-year values after the policy horizon. The old-age dependency ratio is people ' +
+      'aged 65+ per 100 aged 15-64. The labour force applies each economy\'s current male participation rate to ' +
+      'men aged 15-64, flat across ages and over time; female participation follows the motherhood penalty below.'
+  },
+  {
+    heading: 'Motherhood penalty',
+    body: 'Mothers of children under five, counted as one per child aged 0-4, stay in work at the economy\'s ' +
+      'post-birth retention rate and earn less than other women by its wage penalty. Women without a young child ' +
+      'participate at the rate that reproduces current female participation in the base year. Workplace ' +
+      'interventions add retention points and cut the wage penalty in proportion to intensity, phased in along ' +
+      'their response curves, so female participation rises with them and falls slightly as extra births add ' +
+      'mothers of young children. GDP and income tax scale with employment weighted by earnings after the wage penalty. In the structural model the ' +
+      'opportunity cost of a birth (all earnings if the mother leaves work, the wage penalty if she stays) also ' +
+      'moves TFR. Retention and penalty figures are approximate and equal pay is assumed otherwise.'
+  },
+  {
+    heading: 'Uncertainty',
+    body: `Bands come from ${MONTE_CARLO_DRAWS} Monte Carlo draws of each intervention's maxImpact from a ` +
+      'triangular distribution centred on the point estimate; in the structural model each draw scales that ' +
+      'intervention\'s barrier effect by the same ratio. Only impact uncertainty is sampled.'
+  },
+  {
+    heading: 'Fiscal balance',
+    body: 'Income tax and social contributions, consumption tax, public pensions, healthcare and education are each ' +
+      'set to their base-year share of GDP and spread over the people they depend on: earnings-weighted ' +
+      'employment for income tax, consumers (children counted at half) for consumption tax, people aged 65+ for pensions, people aged ' +
+      '5-24 for education, and an age-weighted population for healthcare (older people weighted up to four ' +
+      `times). Amounts per person then grow at ${DEFAULT_PARAMETERS.productivityGrowth}% a year in real terms. The ` +
+      'same per-person amounts apply to the baseline and the scenario, so the balance effect comes only from the ' +
+      'different age structures and female employment. Fiscal shares are approximate and policy rules (retirement ages, benefit ' +
+      'indexation) are held fixed.'
+  },
+  {
+    heading: 'Costs and benefits',
+    body: 'Each intervention has an annual operating cost (costPerPoint x intensity) and a one-off capital cost ' +
+      '(capitalCostPerPoint x each rise in intensity), in USD millions. Benefits are the change in the net fiscal ' +
+      `balance. The appraisal runs to ${LONG_RUN_YEAR}, with operating costs continued at their final-year level ` +
+      'after the policy horizon to match the held TFR paths. Costs and benefits are discounted at the chosen rate ' +
+      'to the first projection year; the benefit-cost ratio is discounted benefits over discounted costs (not ' +
+      'defined without costs) and the ' +
+      'payback year is the first year after which cumulative discounted net flow stays non-negative through ' +
+      `${LONG_RUN_YEAR}. Fiscal effects after ${LONG_RUN_YEAR} are not counted, so the ratio understates the lifetime contribution of later births. ` +
+      'Extra children raise education and healthcare spending years before they pay tax, so the net fiscal return ' +
+      'and the ratio are often negative over this period; reports show each fiscal item\'s present value. The ' +
+      'separate economic benefit figure values the end-of-horizon population gain at GDP per capita x 0.8.'
+  },
+  {
+    heading: 'Currency and prices',
+    body: `The model works in USD at ${PRICE_BASE_YEAR} prices. Other currencies convert at ${PRICE_BASE_YEAR} ` +
+      'market exchange rates, and PPP-USD at each economy\'s PPP conversion factor. Real figures stay at ' +
+      `${PRICE_BASE_YEAR} prices; nominal figures inflate each year's amount by the display currency's assumed ` +
+      'inflation, so exchange rates are taken to move with inflation differentials. Present values are always ' +
+      `in ${PRICE_BASE_YEAR} prices. Sources: ${CURRENCY_SOURCES.join('; ')}.`
+  },
+  {
+    heading: 'Sensitivity analysis',
+    body: 'The sensitivity panel reruns the model with one constant at a time (barrier change per intensity, growth ' +
+      'of tax and spending per person, TFR cap, each maxImpact and either the barrier and motherhood elasticities ' +
+      'or the saturation rate, depending on the fertility model) set to the low and high ends of its range, all else at ' +
+      'defaults, and ranks constants by the swing they cause in projected TFR and the benefit-cost ratio. ' +
+      'Interactions between constants are not explored.'
+  },
+  {
+    heading: 'Limitations',
+    body: 'This is a research prototype. Intervention effect sizes are assumptions drawn from the literature rather ' +
+      'than estimates for each economy, and actual policy impacts may vary based on factors not captured here. ' +
+      `Model version ${MODEL_VERSION}.`
+  }
+];
@@ -0,0 +1,50 @@
+// Motherhood penalty sub-model: the share of mothers of children under five who stay in work after a birth
+// (retention) and how far their earnings fall behind other women's (wage penalty). Interventions with a
+// `motherhood` entry shift both. Female participation and earnings follow from them (lib/labour.js), and so
+// do GDP and income tax (lib/fiscal.js); in the structural fertility model the opportunity cost of a birth
+// also moves TFR (fertilityResponse in lib/simulator.js).
+
+// % of mothers of children under five in work, and their earnings gap (%) against other women, for profiles
+// without their own figures
+export const DEFAULT_MOTHERHOOD = Object.freeze({
+  retention: 65,
+  wagePenalty: 20
+});
+
+export const motherhoodProfile = (country) => ({ ...DEFAULT_MOTHERHOOD, ...country.motherhood });
+
+const clampShare = (value) => Math.min(100, Math.max(0, value));
+
+// Retention and wage penalty with interventions at `intensities` (% by policy). An intervention's
+// `motherhood` entry gives the points added to retention and cut from the wage penalty at full intensity;
+// shifts from several interventions add up.
+export const motherhoodWith = (profile, intensities, interventions) => {
+  const shift = (key) => Object.keys(intensities).reduce((total, policy) => {
+    const effect = interventions[policy] && interventions[policy].motherhood;
+    return total + (effect ? effect[key] * intensities[policy] / 100 : 0);
+  }, 0);
+  return {
+    retention: clampShare(profile.retention + shift('retention')),
+    wagePenalty: clampShare(profile.wagePenalty - shift('wagePenalty'))
+  };
+};
+
+// Share of a mother's expected earnings lost after a birth: all of them if she leaves work, the wage penalty
+// if she stays. Floored at 5%, like the cost barriers.
+export const opportunityCost = ({ retention, wagePenalty }) => Math.max(0.05, 1 - (retention / 100) * (1 - wagePenalty / 100));
+
+// Baseline and scenario { retention, wagePenalty } for `years` years from PROJECTION_START_YEAR. `phasedPaths`
+// hold each intervention's intensity already phased in along its response curve, one value per year; the
+// baseline stays at the profile's values.
+export const motherhoodPaths = (country, phasedPaths, interventions, years) => {
+  const profile = motherhoodProfile(country);
+  const policies = Object.keys(phasedPaths);
+  return {
+    baseline: Array(years).fill(profile),
+    projected: Array.from({ length: years }, (_, year) => motherhoodWith(
+      profile,
+      Object.fromEntries(policies.map(policy => [policy, phasedPaths[policy][year]])),
+      interventions
+    ))
+  };
+};
@@ -0,0 +1,218 @@
+// Budget-constrained search over slider settings, and the inverse "reach target TFR by year X" solver
+
+import {
+  defaultInterventions,
+  getCountry,
+  projectContributions,
+  resolveParameters,
+  PROJECTION_START_YEAR,
+  PROJECTION_YEARS
+} from './simulator';
+import { activeInterventions, validateStructuralCatalogue } from './interventions';
+import { baselinePath } from './baseline';
+
+const roundCost = (value) => Math.round(value * 1000) / 1000;
+
+// Annual operating cost of a slider mix, in $M
+const mixCost = (policies, interventions) => Object.keys(policies)
+  .reduce((total, policy) => total + interventions[policy].costPerPoint * policies[policy] / 1000000, 0);
+
+// TFR in the year `yearsElapsed` into the projection for a constant slider mix over a baseline path
+const tfrAfterYears = (country, counterfactual, policies, yearsElapsed, interventions, resolved) => {
+  const intensityPaths = Object.fromEntries(Object.keys(policies).map(policy => [
+    policy,
+    Array(PROJECTION_YEARS + 1).fill(policies[policy])
+  ]));
+  const contributions = projectContributions(counterfactual, intensityPaths, {
+    country,
+    interventions,
+    maxImpactFor: policy => resolved.maxImpact[policy],
+    parameters: resolved
+  });
+  return Math.min(resolved.tfrCap, Object.keys(contributions).reduce((tfr, policy) => tfr + contributions[policy][yearsElapsed], counterfactual[yearsElapsed]));
+};
+
+// Slider grid for the budget search; coarser for larger catalogues
+export const searchStep = (interventionCount) => (interventionCount <= 8 ? 5 : 10);
+
+// Higher projected TFR wins; the cheaper mix wins a tie
+const better = (a, b) => a.projectedTFR > b.projectedTFR + 1e-12 ||
+  (Math.abs(a.projectedTFR - b.projectedTFR) <= 1e-12 && a.totalCost < b.totalCost);
+
+// Budget-constrained search for the slider settings (on the `step` grid) with the highest final-year TFR
+// whose annual operating cost (in $M) fits the budget. Mixes are scored with the simulator's own projection
+// over the `baseline` path (see lib/baseline.js), so lags, ramps and decay count. The search first raises,
+// one step at a time, whichever intervention adds most TFR per dollar, then moves single steps between
+// interventions, or up or down, while that improves the mix. Each call to `advance()` runs one such round
+// and returns false once the search is done, so the UI can spread it over several ticks; `result()` gives
+// the best mix and the next best of those scored. `parameters` overrides model constants as in the simulator.
+export const createMixSearch = (
+  countryOrKey,
+  budget,
+  { interventions = defaultInterventions, baseline, parameters, step, keep = 5 } = {}
+) => {
+  const country = getCountry(countryOrKey);
+  const counterfactual = baselinePath(country, baseline).path;
+  const catalogue = activeInterventions(interventions);
+  const resolved = resolveParameters(parameters, catalogue);
+  if (resolved.fertilityModel !== 'reduced') validateStructuralCatalogue(catalogue);
+  const policyKeys = Object.keys(catalogue);
+  const gridStep = step || searchStep(policyKeys.length);
+  const scored = new Map();
+  const ranked = [];
+
+  const consider = (candidate) => {
+    const position = ranked.findIndex(entry => better(candidate, entry));
+    if (position === -1) {
+      if (ranked.length < keep) ranked.push(candidate);
+    } else {
+      ranked.splice(position, 0, candidate);
+      if (ranked.length > keep) ranked.pop();
+    }
+  };
+
+  // Scored mix, or null when it is over budget; each mix is projected once
+  const score = (policies) => {
+    const cost = mixCost(policies, catalogue);
+    if (cost > budget + 1e-9) return null;
+    const key = policyKeys.map(policy => policies[policy]).join(',');
+    if (!scored.has(key)) {
+      const candidate = {
+        policies,
+        totalCost: roundCost(cost),
+        projectedTFR: tfrAfterYears(country, counterfactual, policies, PROJECTION_YEARS, catalogue, resolved)
+      };
+      scored.set(key, candidate);
+      consider(candidate);
+    }
+    return scored.get(key);
+  };
+
+  const moved = (policies, policy, change) => ({
+    ...policies,
+    [policy]: Math.min(100, Math.max(0, policies[policy] + change))
+  });
+
+  let current = score(Object.fromEntries(policyKeys.map(policy => [policy, 0])));
+  let phase = current ? 'raise' : 'done';
+
+  const raise = () => {
+    let best = null;
+    policyKeys.filter(policy => current.policies[policy] < 100).forEach(policy => {
+      const candidate = score(moved(current.policies, policy, gridStep));
+      if (!candidate || candidate.projectedTFR <= current.projectedTFR) return;
+      const extraCost = mixCost(candidate.policies, catalogue) - mixCost(current.policies, catalogue);
+      const gainPerDollar = extraCost > 0 ? (candidate.projectedTFR - current.projectedTFR) / extraCost : Infinity;
+      if (!best || gainPerDollar > best.gainPerDollar) {
+        best = { candidate, gainPerDollar };
+      }
+    });
+    if (best) {
+      current = best.candidate;
+    } else {
+      phase = 'shift';
+    }
+  };
+
+  const shift = () => {
+    let best = current;
+    const options = [null, ...policyKeys];
+    options.forEach(from => options.forEach(to => {
+      if (from === to) return;
+      let policies = current.policies;
+      if (from) policies = moved(policies, from, -gridStep);
+      if (to) policies = moved(policies, to, gridStep);
+      const candidate = score(policies);
+      if (candidate && better(candidate, best)) best = candidate;
+    }));
+    if (best === current) {
+      phase = 'done';
+    } else {
+      current = best;
+    }
+  };
+
+  return {
+    advance: () => {
+      if (phase === 'raise') raise();
+      else if (phase === 'shift') shift();
+      return phase !== 'done';
+    },
+    result: () => ({
+      budget,
+      step: gridStep,
+      best: ranked[0],
+      runnersUp: ranked.slice(1)
+    })
+  };
+};
+
+// createMixSearch run to completion
+export const optimizePolicyMix = (countryOrKey, budget, options) => {
+  const search = createMixSearch(countryOrKey, budget, options);
+  while (search.advance());
+  return search.result();
+};
+
+// Cheapest slider settings (on the `step` grid) found for reaching `targetTFR` in `targetYear`.
+// Interventions ramp up at different speeds, so the mix is built greedily: each round raises the
+// intervention with the largest target-year TFR gain per dollar by one step. Infeasible targets
+// report the best achievable TFR and the shortfall.
+export const solveForTarget = (
+  countryOrKey,
+  targetTFR,
+  targetYear,
+  { interventions = defaultInterventions, baseline, parameters, step = 5 } = {}
+) => {
+  const country = getCountry(countryOrKey);
+  const counterfactual = baselinePath(country, baseline).path;
+  const catalogue = activeInterventions(interventions);
+  const resolved = resolveParameters(parameters, catalogue);
+  if (resolved.fertilityModel !== 'reduced') validateStructuralCatalogue(catalogue);
+  const policyKeys = Object.keys(catalogue);
+  const yearsElapsed = targetYear - PROJECTION_START_YEAR;
+  if (!Number.isInteger(yearsElapsed) || yearsElapsed < 0 || yearsElapsed > PROJECTION_YEARS) {
+    throw new Error(`Target year must be between ${PROJECTION_START_YEAR} and ${PROJECTION_START_YEAR + PROJECTION_YEARS}`);
+  }
+
+  const fullPolicies = Object.fromEntries(policyKeys.map(policy => [policy, 100]));
+  const achievableTFR = tfrAfterYears(country, counterfactual, fullPolicies, yearsElapsed, catalogue, resolved);
+  const policies = Object.fromEntries(policyKeys.map(policy => [policy, 0]));
+
+  const summarize = (feasible) => ({
+    feasible,
+    targetTFR,
+    targetYear,
+    policies,
+    totalCost: roundCost(mixCost(policies, catalogue)),
+    projectedTFR: tfrAfterYears(country, counterfactual, policies, PROJECTION_YEARS, catalogue, resolved),
+    tfrInTargetYear: tfrAfterYears(country, counterfactual, policies, yearsElapsed, catalogue, resolved),
+    achievableTFR,
+    shortfall: feasible ? 0 : targetTFR - achievableTFR
+  });
+
+  if (targetTFR <= counterfactual[yearsElapsed]) {
+    return summarize(true);
+  }
+  if (targetTFR > achievableTFR + 1e-9) {
+    policyKeys.forEach(policy => { policies[policy] = 100; });
+    return summarize(false);
+  }
+
+  let currentTFR = counterfactual[yearsElapsed];
+  while (currentTFR < targetTFR - 1e-9) {
+    let best = null;
+    policyKeys.filter(policy => policies[policy] < 100).forEach(policy => {
+      const intensity = Math.min(100, policies[policy] + step);
+      const tfr = tfrAfterYears(country, counterfactual, { ...policies, [policy]: intensity }, yearsElapsed, catalogue, resolved);
+      const gainPerDollar = (tfr - currentTFR) / (catalogue[policy].costPerPoint * (intensity - policies[policy]));
+      if (!best || gainPerDollar > best.gainPerDollar) {
+        best = { policy, intensity, tfr, gainPerDollar };
+      }
+    });
+    policies[best.policy] = best.intensity;
+    currentTFR = best.tfr;
+  }
+
+  return summarize(true);
+};
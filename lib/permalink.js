@@ -0,0 +1,152 @@
+// Encodes the simulator state in the URL query so configurations can be shared and revisited
+
+import {
+  defaultInterventions,
+  DEFAULT_POLICIES,
+  DEFAULT_DISCOUNT_RATE,
+  DEFAULT_BASELINE,
+  DEFAULT_PARAMETERS,
+  FERTILITY_MODELS,
+  normalizeBaseline,
+  normalizePolicySchedule
+} from './simulator';
+import { DEFAULT_MONEY, DISPLAY_CURRENCIES, PRICE_BASES } from './currency';
+
+export const DEFAULT_STATE = {
+  country: 'south_korea',
+  compareMode: false,
+  compareCountries: ['south_korea', 'japan'],
+  policies: DEFAULT_POLICIES,
+  schedule: {},
+  discountRate: DEFAULT_DISCOUNT_RATE,
+  baseline: DEFAULT_BASELINE,
+  fertilityModel: DEFAULT_PARAMETERS.fertilityModel,
+  ...DEFAULT_MONEY
+};
+
+// Schedule steps travel as childcareAI.schedule=2026:20,2029:60,2035:0
+const scheduleParam = (policy) => `${policy}.schedule`;
+
+const decodeSchedule = (params, interventions) => {
+  const schedule = {};
+  Object.keys(interventions).forEach(policy => {
+    const value = params.get(scheduleParam(policy));
+    if (value) {
+      schedule[policy] = value.split(',').map(step => {
+        const [year, intensity] = step.split(':');
+        return { year, intensity };
+      });
+    }
+  });
+  try {
+    return normalizePolicySchedule(schedule, interventions);
+  } catch (err) {
+    return {};
+  }
+};
+
+// Baselines travel as baseline=flat, or baseline=forecast&forecast=2030:1.15,2045:1.3
+const decodeBaseline = (params) => {
+  const mode = params.get('baseline');
+  const forecast = params.get('forecast');
+  try {
+    return mode === null ? DEFAULT_BASELINE : normalizeBaseline({
+      mode,
+      forecast: forecast ? forecast.split(',').map(row => {
+        const [year, tfr] = row.split(':');
+        return { year, tfr };
+      }) : undefined
+    });
+  } catch (err) {
+    return DEFAULT_BASELINE;
+  }
+};
+
+// e.g. country=japan&compare=south_korea,japan&aiEducation=50 (zero intensities are omitted)
+export const encodeState = ({
+  country,
+  compareMode,
+  compareCountries,
+  policies,
+  schedule = {},
+  discountRate = DEFAULT_DISCOUNT_RATE,
+  baseline = DEFAULT_BASELINE,
+  fertilityModel = DEFAULT_STATE.fertilityModel,
+  currency = DEFAULT_MONEY.currency,
+  priceBasis = DEFAULT_MONEY.priceBasis
+}) => {
+  const params = new URLSearchParams();
+  params.set('country', country);
+  if (compareMode) {
+    params.set('compare', compareCountries.join(','));
+  }
+  if (discountRate !== DEFAULT_DISCOUNT_RATE) {
+    params.set('discount', String(discountRate));
+  }
+  if (baseline.mode !== DEFAULT_BASELINE.mode) {
+    params.set('baseline', baseline.mode);
+    if (baseline.forecast) {
+      params.set('forecast', baseline.forecast.map(row => `${row.year}:${row.tfr}`).join(','));
+    }
+  }
+  if (fertilityModel !== DEFAULT_STATE.fertilityModel) {
+    params.set('model', fertilityModel);
+  }
+  if (currency !== DEFAULT_MONEY.currency) {
+    params.set('currency', currency);
+  }
+  if (priceBasis !== DEFAULT_MONEY.priceBasis) {
+    params.set('prices', priceBasis);
+  }
+  Object.keys(policies).forEach(policy => {
+    if (policies[policy] > 0) {
+      params.set(policy, String(policies[policy]));
+    }
+    if (schedule[policy]) {
+      params.set(scheduleParam(policy), schedule[policy].map(step => `${step.year}:${step.intensity}`).join(','));
+    }
+  });
+  return params.toString();
+};
+
+// Unknown countries fall back to the defaults; intensities are clamped to 0-100, the discount rate
+// to 0-20 and an invalid schedule, baseline or fertility model is dropped. Interventions not in `interventions` are ignored.
+export const decodeState = (search, knownCountries, interventions = defaultInterventions) => {
+  const params = new URLSearchParams(search);
+  const country = params.get('country');
+  const compare = params.get('compare');
+  const compareCountries = compare === null
+    ? DEFAULT_STATE.compareCountries
+    : compare.split(',').filter(key => knownCountries[key]);
+
+  const policies = Object.fromEntries(Object.keys(interventions).map(policy => [policy, 0]));
+  Object.keys(interventions).forEach(policy => {
+    const value = Number(params.get(policy));
+    if (Number.isFinite(value)) {
+      policies[policy] = Math.min(100, Math.max(0, value));
+    }
+  });
+
+  const discount = params.get('discount');
+  const discountRate = discount === null || !Number.isFinite(Number(discount))
+    ? DEFAULT_DISCOUNT_RATE
+    : Math.min(20, Math.max(0, Number(discount)));
+
+  return {
+    country: knownCountries[country] ? country : DEFAULT_STATE.country,
+    compareMode: compare !== null,
+    compareCountries,
+    policies,
+    schedule: decodeSchedule(params, interventions),
+    discountRate,
+    baseline: decodeBaseline(params),
+    fertilityModel: FERTILITY_MODELS[params.get('model')] ? params.get('model') : DEFAULT_STATE.fertilityModel,
+    currency: DISPLAY_CURRENCIES.includes(params.get('currency')) ? params.get('currency') : DEFAULT_MONEY.currency,
+    priceBasis: PRICE_BASES.includes(params.get('prices')) ? params.get('prices') : DEFAULT_MONEY.priceBasis
+  };
+};
+
+export const searchFromPath = (path) => {
+  const queryStart = path.indexOf('?');
+  return queryStart === -1 ? '' : path.slice(queryStart + 1).split('#')[0];
+};
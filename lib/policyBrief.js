@@ -0,0 +1,206 @@
+// Client-side PDF policy brief: overview, settings, metrics, chart snapshots, costs and methodology
+
+import { FERTILITY_MODELS, MODEL_VERSION } from './simulator';
+import { METHODOLOGY_SECTIONS } from './methodology';
+import { BASELINE_MODES } from './baseline';
+import { INTERVENTION_CATEGORIES } from './interventions';
+import { LABOUR_INDICATORS } from './labour';
+import { FISCAL_ITEMS } from './fiscal';
+
+const PAGE_MARGIN = 15; // mm
+const LINE_HEIGHT = 5;
+
+// Thin cursor over a jsPDF document that starts a new page whenever the next block will not fit
+const createWriter = (doc) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN - 5) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  return {
+    contentWidth,
+    newPage: () => {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    },
+    heading: (text, size = 14) => {
+      ensureSpace(size / 2 + LINE_HEIGHT);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(size);
+      doc.text(text, PAGE_MARGIN, y + size / 3);
+      y += size / 2 + 3;
+    },
+    paragraph: (text, size = 10) => {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(size);
+      doc.splitTextToSize(text, contentWidth).forEach(line => {
+        ensureSpace(LINE_HEIGHT);
+        doc.text(line, PAGE_MARGIN, y + 3.5);
+        y += LINE_HEIGHT;
+      });
+      y += 2;
+    },
+    table: (columns, rows, widths) => {
+      const columnX = widths.reduce((positions, width) => [...positions, positions[positions.length - 1] + width * contentWidth], [PAGE_MARGIN]);
+      [columns, ...rows].forEach((row, index) => {
+        ensureSpace(LINE_HEIGHT + 1);
+        doc.setFont('helvetica', index === 0 ? 'bold' : 'normal');
+        doc.setFontSize(9);
+        row.forEach((cell, column) => doc.text(String(cell), columnX[column] + 1, y + 3.5));
+        y += LINE_HEIGHT + 1;
+        doc.setDrawColor(220);
+        doc.line(PAGE_MARGIN, y - 0.5, PAGE_MARGIN + contentWidth, y - 0.5);
+      });
+      y += 3;
+    },
+    image: (dataUrl, aspectRatio) => {
+      const height = contentWidth * aspectRatio;
+      ensureSpace(height);
+      doc.addImage(dataUrl, 'PNG', PAGE_MARGIN, y, contentWidth, height);
+      y += height + 4;
+    }
+  };
+};
+
+const addPageNumbers = (doc, title) => {
+  const pages = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(120);
+    doc.text(title, PAGE_MARGIN, pageHeight - 8);
+    doc.text(`Page ${page} of ${pages}`, pageWidth - PAGE_MARGIN, pageHeight - 8, { align: 'right' });
+    doc.setTextColor(0);
+  }
+};
+
+// Constant slider value, or the rollout steps for a scheduled intervention
+const intensityLabel = (res, policy) => (res.schedule[policy]
+  ? res.schedule[policy].map(step => `${step.year}: ${step.intensity}%`).join(', ')
+  : `${res.policies[policy]}%`);
+
+const writeRun = async (writer, { countryKey, country, res, money }, chartCards, html2canvas) => {
+  writer.heading(`${country.name}: Country Overview`);
+  writer.table(['Indicator', 'Value'], [
+    ['Current TFR', country.baseTFR.toFixed(2)],
+    ['Population', `${country.demographics.population}M`],
+    ['GDP per capita', money.format(country.demographics.gdpPerCapita / 1000000)],
+    ['Female labour force participation', `${country.demographics.femaleParticipation}%`],
+    ['Data', `${country.meta.year} (v${country.meta.dataVersion})`]
+  ], [0.6, 0.4]);
+  writer.paragraph(`Sources: ${country.meta.sources.join('; ')}`, 8);
+
+  writer.heading('Policy Settings', 12);
+  writer.table(['Intervention', 'Intensity'], Object.keys(res.policies).map(policy => [
+    res.interventions[policy].name, intensityLabel(res, policy)
+  ]), [0.55, 0.45]);
+
+  const targetPoint = res.projectionData.find(point => point.projected >= point.target);
+  writer.heading('Key Metrics', 12);
+  writer.table(['Metric', 'Value'], [
+    ['Projected TFR', `${res.projectedTFR.toFixed(3)} (${res.tfrIncrease >= 0 ? '+' : ''}${res.tfrIncrease.toFixed(2)} TFR vs baseline)`],
+    ['Baseline TFR', `${res.baselineTFR.toFixed(3)} (${BASELINE_MODES[res.baseline.mode].toLowerCase()})`],
+    ['Model parameters', res.parameterSet || 'Model defaults'],
+    ['Fertility model', FERTILITY_MODELS[res.parameters.fertilityModel]],
+    ['Total cost (undiscounted)', money.formatSeries(res.costData, 'total')],
+    ['Fiscal balance change (PV)', money.format(res.costBenefit.presentBenefits)],
+    ...Object.keys(FISCAL_ITEMS).map(item => [`- ${FISCAL_ITEMS[item].label} (PV)`, money.format(res.costBenefit.presentBenefitItems[item])]),
+    ['Mothers retained in work', `${res.motherhood.baseline.retention.toFixed(0)}% to ${res.motherhood.projected.retention.toFixed(0)}%`],
+    ['Motherhood wage penalty', `${res.motherhood.baseline.wagePenalty.toFixed(0)}% to ${res.motherhood.projected.wagePenalty.toFixed(0)}%`],
+    ...res.labourMilestones.map(milestone => [
+      `GDP change in ${milestone.year}`,
+      money.format(res.fiscalData.find(point => point.year === milestone.year).gdpChange, milestone.year)
+    ]),
+    ['Net present value', `${money.format(res.costBenefit.npv)} at ${res.costBenefit.discountRate}%`],
+    ['Benefit-cost ratio', Number.isFinite(res.roi) ? `${res.roi.toFixed(1)}x` : 'n/a'],
+    ['Payback year', res.costBenefit.paybackYear
+      ? String(res.costBenefit.paybackYear)
+      : `Not by ${res.costBenefit.cashFlows[res.costBenefit.cashFlows.length - 1].year}`],
+    ['Years to 2.1 TFR', targetPoint ? String(targetPoint.year - res.projectionData[0].year) : `${res.projectionData.length - 1}+`]
+  ], [0.6, 0.4]);
+
+  for (const card of chartCards) {
+    const canvas = await html2canvas(card, {
+      scale: 2,
+      backgroundColor: '#ffffff',
+      logging: false,
+      ignoreElements: (element) => element.hasAttribute('data-report-ignore')
+    });
+    writer.image(canvas.toDataURL('image/png'), canvas.height / canvas.width);
+  }
+
+  writer.heading(`Cost Breakdown (${money.label})`, 12);
+  writer.table(['Intervention', 'Intensity', 'TFR impact', 'Cost'], Object.keys(res.policyCosts).map(policy => [
+    res.interventions[policy].name,
+    res.schedule[policy] ? 'phased' : `${res.policies[policy]}%`,
+    res.policyImpacts[policy].toFixed(4),
+    money.formatSeries(res.costData, policy)
+  ]), [0.45, 0.15, 0.2, 0.2]);
+
+  const { byCategory } = res.costEffectiveness;
+  writer.heading('AI vs Conventional Cost-Effectiveness', 12);
+  writer.table(['Levers', 'PV cost', 'TFR gain', 'Cost per +0.01 TFR', 'BCR'], Object.keys(byCategory).map(category => {
+    const entry = byCategory[category];
+    return entry.presentCosts > 0
+      ? [
+        INTERVENTION_CATEGORIES[category],
+        money.format(entry.presentCosts),
+        `+${entry.tfrGain.toFixed(3)}`,
+        entry.costPerTfrHundredth === null ? 'n/a' : money.format(entry.costPerTfrHundredth),
+        entry.benefitCostRatio === null ? 'n/a' : `${entry.benefitCostRatio.toFixed(1)}x`
+      ]
+      : [INTERVENTION_CATEGORIES[category], 'not funded', '', '', ''];
+  }), [0.3, 0.2, 0.15, 0.2, 0.15]);
+
+  writer.heading('Dependency and Labour Force', 12);
+  writer.table(
+    ['Indicator', ...res.labourMilestones.map(milestone => `${milestone.year} (change)`)],
+    Object.keys(LABOUR_INDICATORS).map(key => [
+      LABOUR_INDICATORS[key].label,
+      ...res.labourMilestones.map(milestone => {
+        const { projected, change } = milestone[key];
+        const { unit, digits } = LABOUR_INDICATORS[key];
+        return `${projected.toFixed(digits)}${unit} (${change >= 0 ? '+' : ''}${change.toFixed(digits)})`;
+      })
+    ]),
+    [0.5, 0.25, 0.25]
+  );
+};
+
+// runs: [{ countryKey, country, res, money }] with `money` from createMoney; chart cards are found in `container` via
+// data-report-chart / data-report-country attributes so they print exactly as shown on screen
+export const generatePolicyBrief = async ({ runs, container }) => {
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import('jspdf'), import('html2canvas')]);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const writer = createWriter(doc);
+  const title = `AI-Driven Fertility Policy Brief: ${runs.map(run => run.country.name).join(', ')}`;
+
+  writer.heading('AI-Driven Fertility Policy Brief', 18);
+  writer.paragraph(`${runs.map(run => run.country.name).join(', ')} | Generated ${new Date().toLocaleDateString()} | Model version ${MODEL_VERSION}`, 9);
+
+  for (const [index, run] of runs.entries()) {
+    if (index > 0) writer.newPage();
+    const chartCards = [...container.querySelectorAll(`[data-report-country="${run.countryKey}"] [data-report-chart]`)];
+    await writeRun(writer, run, chartCards, html2canvas);
+  }
+
+  writer.newPage();
+  writer.heading('Appendix: Methodology and Assumptions');
+  METHODOLOGY_SECTIONS.forEach(section => {
+    writer.heading(section.heading, 11);
+    writer.paragraph(section.body);
+  });
+
+  addPageNumbers(doc, title);
+  doc.save(`fertility-policy-brief-${runs.map(run => run.countryKey).join('-')}.pdf`);
+};
@@ -0,0 +1,143 @@
+// Parses uploaded CSV/JSON country profiles into validated session profiles
+
+import { buildCustomProfile } from './countries';
+
+// Bare CSV column names map onto the nested profile fields
+const CSV_COLUMNS = {
+  name: 'name',
+  baseTFR: 'baseTFR',
+  educationCost: 'baseFactors.educationCost',
+  workLifeBalance: 'baseFactors.workLifeBalance',
+  childcareCost: 'baseFactors.childcareCost',
+  housingCost: 'baseFactors.housingCost',
+  population: 'demographics.population',
+  gdpPerCapita: 'demographics.gdpPerCapita',
+  femaleParticipation: 'demographics.femaleParticipation',
+  maleParticipation: 'demographics.maleParticipation',
+  cohortTemplate: 'cohortTemplate'
+};
+
+const TEXT_FIELDS = ['name', 'cohortTemplate'];
+
+// RFC 4180-style parsing: quoted fields may contain commas, newlines and doubled quotes
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+const setPath = (target, path, value) => {
+  const parts = path.split('.');
+  if (parts.some(part => UNSAFE_SEGMENTS.includes(part))) {
+    throw new Error(`Refusing to set ${path}`);
+  }
+  let node = target;
+  parts.slice(0, -1).forEach(part => {
+    node[part] = node[part] || {};
+    node = node[part];
+  });
+  node[parts[parts.length - 1]] = value;
+};
+
+// Empty cells are left out (so they surface as "is required"); numeric cells become numbers. Header names
+// not in CSV_COLUMNS come back in `unknown`, and then no rows are read.
+const csvToRecords = (text) => {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(name => !Object.prototype.hasOwnProperty.call(CSV_COLUMNS, name));
+  if (unknown.length > 0) {
+    return { records: [], unknown };
+  }
+  const paths = columns.map(name => CSV_COLUMNS[name]);
+  const records = rows.map(cells => {
+    const record = {};
+    paths.forEach((path, index) => {
+      const cell = (cells[index] || '').trim();
+      if (cell === '') return;
+      const isText = TEXT_FIELDS.includes(path);
+      setPath(record, path, isText || Number.isNaN(Number(cell)) ? cell : Number(cell));
+    });
+    return record;
+  });
+  return { records, unknown };
+};
+
+// Returns { profiles: [{ key, profile }], errors: [{ record, path, message }] }
+export const parseProfileFile = (text, fileName) => {
+  let records;
+  try {
+    if (/\.json$/i.test(fileName)) {
+      const parsed = JSON.parse(text);
+      records = Array.isArray(parsed) ? parsed : [parsed];
+    } else if (/\.csv$/i.test(fileName)) {
+      const csv = csvToRecords(text);
+      if (csv.unknown.length > 0) {
+        const expected = Object.keys(CSV_COLUMNS).join(', ');
+        return {
+          profiles: [],
+          errors: csv.unknown.map(column => ({ record: 'header', path: column || '(blank)', message: `is not a known column (expected ${expected})` }))
+        };
+      }
+      records = csv.records;
+    } else {
+      throw new Error('Unsupported file type, expected .csv or .json');
+    }
+  } catch (err) {
+    return { profiles: [], errors: [{ record: fileName, path: 'file', message: err.message }] };
+  }
+
+  if (records.length === 0) {
+    return { profiles: [], errors: [{ record: fileName, path: 'file', message: 'contains no profiles' }] };
+  }
+
+  const profiles = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const label = /\.csv$/i.test(fileName) ? `row ${index + 2}` : `profile ${index + 1}`;
+    const result = buildCustomProfile(record, `Uploaded from ${fileName}`);
+    if (result.errors.length > 0) {
+      result.errors.forEach(error => errors.push({ record: label, ...error }));
+    } else {
+      profiles.push({ key: result.key, profile: result.profile });
+    }
+  });
+  return { profiles, errors };
+};
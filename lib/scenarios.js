@@ -0,0 +1,168 @@
+// Named scenario library persisted in browser storage, with JSON export/import
+
+import {
+  defaultInterventions,
+  normalizePolicies,
+  normalizePolicySchedule,
+  normalizeDiscountRate,
+  normalizeBaseline,
+  DEFAULT_PARAMETERS
+} from './simulator';
+import { validateCatalogue } from './interventions';
+import { validateParameterSet } from './calibration';
+import { PROFILE_SCHEMA } from './countries';
+import { validateSchema, formatSchemaErrors } from './schema';
+
+export const SCENARIO_STORAGE_KEY = 'fertility-simulator:scenarios';
+export const SCENARIO_LIBRARY_VERSION = 1;
+
+const SCENARIO_SCHEMA = {
+  type: 'object',
+  fields: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    note: { type: 'string', allowEmpty: true, optional: true },
+    country: { type: 'string' },
+    compareMode: { type: 'boolean' },
+    compareCountries: { type: 'array', items: { type: 'string' } },
+    policies: { type: 'object' },
+    schedule: { type: 'object', optional: true },
+    discountRate: { type: 'number', optional: true },
+    baseline: { type: 'object', optional: true },
+    fertilityModel: { type: 'string', pattern: /^(structural|reduced)$/, optional: true },
+    customProfiles: { type: 'object', optional: true },
+    interventions: { type: 'object', optional: true },
+    parameterSet: { type: 'object', optional: true },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' }
+  }
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Snapshot of the simulator state; custom profiles, an edited intervention catalogue and the active parameter
+// set travel with the scenario
+export const createScenario = ({
+  name,
+  note = '',
+  country,
+  compareMode,
+  compareCountries,
+  policies,
+  schedule = {},
+  discountRate,
+  baseline,
+  fertilityModel = DEFAULT_PARAMETERS.fertilityModel,
+  customProfiles = {},
+  interventions,
+  parameterSet
+}) => {
+  const now = new Date().toISOString();
+  return {
+    id: createId(),
+    name,
+    note,
+    country,
+    compareMode,
+    compareCountries: [...compareCountries],
+    policies: { ...policies },
+    schedule,
+    discountRate: normalizeDiscountRate(discountRate),
+    baseline: normalizeBaseline(baseline),
+    fertilityModel,
+    customProfiles,
+    ...(interventions ? { interventions } : {}),
+    ...(parameterSet ? { parameterSet } : {}),
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+export const renameScenario = (scenario, name) => ({ ...scenario, name, updatedAt: new Date().toISOString() });
+
+export const duplicateScenario = (scenario) => {
+  const now = new Date().toISOString();
+  return { ...scenario, id: createId(), name: `${scenario.name} (copy)`, createdAt: now, updatedAt: now };
+};
+
+const validateScenario = (scenario, label) => {
+  const errors = validateSchema(scenario, SCENARIO_SCHEMA);
+  if (errors.length === 0 && scenario.customProfiles) {
+    Object.keys(scenario.customProfiles).forEach(key => {
+      errors.push(...validateSchema(scenario.customProfiles[key], PROFILE_SCHEMA, `customProfiles.${key}`));
+    });
+  }
+  if (errors.length > 0) {
+    throw new Error(`${label}: ${formatSchemaErrors(errors)}`);
+  }
+  try {
+    const interventions = scenario.interventions ? validateCatalogue(scenario.interventions) : defaultInterventions;
+    if (scenario.parameterSet) validateParameterSet(scenario.parameterSet, interventions);
+    return {
+      ...scenario,
+      note: scenario.note || '',
+      customProfiles: scenario.customProfiles || {},
+      policies: normalizePolicies(scenario.policies, interventions),
+      schedule: normalizePolicySchedule(scenario.schedule, interventions),
+      discountRate: normalizeDiscountRate(scenario.discountRate),
+      baseline: normalizeBaseline(scenario.baseline),
+      fertilityModel: scenario.fertilityModel || DEFAULT_PARAMETERS.fertilityModel
+    };
+  } catch (err) {
+    throw new Error(`${label}: ${err.message}`);
+  }
+};
+
+export const serializeLibrary = (scenarios) => JSON.stringify({
+  version: SCENARIO_LIBRARY_VERSION,
+  exportedAt: new Date().toISOString(),
+  scenarios
+}, null, 2);
+
+// Parses an exported library file into { scenarios, errors, invalid }. Invalid scenarios are skipped: `errors`
+// says why and `invalid` keeps them as they were, so that writing the library back does not drop them. Throws
+// if the file is not a scenario library at all.
+export const parseLibrary = (text) => {
+  const parsed = JSON.parse(text);
+  if (!parsed || parsed.version !== SCENARIO_LIBRARY_VERSION || !Array.isArray(parsed.scenarios)) {
+    throw new Error(`Not a scenario library (expected version ${SCENARIO_LIBRARY_VERSION} with a scenarios array)`);
+  }
+  const library = { scenarios: [], errors: [], invalid: [] };
+  parsed.scenarios.forEach((scenario, index) => {
+    try {
+      library.scenarios.push(validateScenario(scenario, `scenario ${index + 1}`));
+    } catch (err) {
+      library.errors.push(err.message);
+      library.invalid.push(scenario);
+    }
+  });
+  return library;
+};
+
+// Imported scenarios are appended; ids already in the library are re-issued
+export const mergeLibraries = (existing, imported) => {
+  const ids = new Set(existing.map(scenario => scenario.id));
+  return [
+    ...existing,
+    ...imported.map(scenario => (ids.has(scenario.id) ? { ...scenario, id: createId() } : scenario))
+  ];
+};
+
+// The stored library as parseLibrary returns it, or { error } when storage holds something unreadable
+export const loadLibrary = () => {
+  const empty = { scenarios: [], errors: [], invalid: [] };
+  if (typeof window === 'undefined') return empty;
+  const stored = window.localStorage.getItem(SCENARIO_STORAGE_KEY);
+  if (!stored) return empty;
+  try {
+    return parseLibrary(stored);
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+// `invalid` entries from loadLibrary are written back unchanged after the valid ones
+export const saveLibrary = (scenarios, invalid = []) => {
+  if (typeof window === 'undefined') return;
+  window.localStorage.setItem(SCENARIO_STORAGE_KEY, serializeLibrary([...scenarios, ...invalid]));
+};
@@ -0,0 +1,58 @@
+// Time-phased rollout schedules: per-intervention step paths of intensity over the projection years
+
+import { PROJECTION_START_YEAR, PROJECTION_YEARS } from './constants';
+
+export const LAST_PROJECTION_YEAR = PROJECTION_START_YEAR + PROJECTION_YEARS;
+
+// A schedule is { [policy]: [{ year, intensity }, ...] }. Each step holds from its year until the
+// next step, intensity is 0 before the first step, so [{ year: 2035, intensity: 0 }] sunsets a programme.
+export const normalizeSchedule = (schedule, knownPolicies) => {
+  const normalized = {};
+  Object.keys(schedule || {}).forEach(policy => {
+    if (!knownPolicies.includes(policy)) {
+      throw new Error(`Unknown intervention: ${policy}`);
+    }
+    if (!Array.isArray(schedule[policy])) {
+      throw new Error(`Schedule for ${policy} must be a list of { year, intensity } steps`);
+    }
+    if (schedule[policy].some(step => !step || typeof step !== 'object')) {
+      throw new Error(`Schedule for ${policy} must be a list of { year, intensity } steps`);
+    }
+    normalized[policy] = schedule[policy]
+      .map(step => ({ year: Number(step.year), intensity: Number(step.intensity) }))
+      .map(step => {
+        if (!Number.isInteger(step.year) || step.year < PROJECTION_START_YEAR || step.year > LAST_PROJECTION_YEAR) {
+          throw new Error(`Schedule years for ${policy} must be between ${PROJECTION_START_YEAR} and ${LAST_PROJECTION_YEAR}`);
+        }
+        if (!Number.isFinite(step.intensity) || step.intensity < 0 || step.intensity > 100) {
+          throw new Error(`Scheduled intensity for ${policy} must be a number between 0 and 100`);
+        }
+        return step;
+      })
+      .sort((a, b) => a.year - b.year);
+  });
+  return normalized;
+};
+
+// Intensity in each projection year for one intervention's steps
+export const expandSchedule = (steps) => {
+  const path = [];
+  let intensity = 0;
+  let next = 0;
+  for (let year = PROJECTION_START_YEAR; year <= LAST_PROJECTION_YEAR; year++) {
+    while (next < steps.length && steps[next].year <= year) {
+      intensity = steps[next].intensity;
+      next++;
+    }
+    path.push(intensity);
+  }
+  return path;
+};
+
+// Per-year intensity paths; interventions without a schedule hold their constant slider value
+export const buildIntensityPaths = (policies, schedule) => Object.fromEntries(
+  Object.keys(policies).map(policy => [
+    policy,
+    schedule && schedule[policy] ? expandSchedule(schedule[policy]) : Array(PROJECTION_YEARS + 1).fill(policies[policy])
+  ])
+);
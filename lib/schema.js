@@ -0,0 +1,68 @@
+// Minimal declarative schema validation returning field-level errors
+
+// A schema node is { type, min, max, integer, length, minLength, pattern, allowEmpty, optional, fields, items };
+// an object node without `fields` accepts any keys.
+// Errors are { path, message } with dotted paths such as 'baseFactors.housingCost'.
+export const validateSchema = (value, schema, path = '') => {
+  const errors = [];
+  const label = path || 'value';
+  const fail = (message) => errors.push({ path: label, message });
+
+  if (value === undefined || value === null) {
+    if (!schema.optional) fail('is required');
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        fail('must be a number');
+      } else {
+        if (schema.integer && !Number.isInteger(value)) fail('must be a whole number');
+        if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}`);
+        if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        fail('must be a string');
+      } else if (value.trim() === '' && !schema.allowEmpty) {
+        fail('must not be empty');
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        fail(`must match ${schema.pattern}`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        fail('must be an array');
+        break;
+      }
+      if (schema.length !== undefined && value.length !== schema.length) {
+        fail(`must have exactly ${schema.length} entries`);
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must have at least ${schema.minLength} entries`);
+      }
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+      });
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        fail('must be an object');
+        break;
+      }
+      Object.keys(schema.fields || {}).forEach(field => {
+        errors.push(...validateSchema(value[field], schema.fields[field], path ? `${path}.${field}` : field));
+      });
+      break;
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+  return errors;
+};
+
+export const formatSchemaErrors = (errors) => errors.map(error => `${error.path} ${error.message}`).join('; ');
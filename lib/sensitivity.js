@@ -0,0 +1,144 @@
+// One-at-a-time sensitivity of projectedTFR and roi to the model's constants
+
+import { countryElasticities, defaultInterventions, getCountry, resolveParameters, simulateTFRImpactForCountry } from './simulator';
+import { activeInterventions, BARRIER_FACTORS } from './interventions';
+
+export const DEFAULT_SPREAD = 25; // % either side of the default value
+
+// Every parameter the analysis can vary for a catalogue: `value` is its current value (model defaults
+// unless `parameters` overrides them), `apply` turns a trial value into a parameters override. Only the
+// chosen fertility model's parameters are listed; the structural model's barrier elasticities come from
+// `country` and, like its motherhood elasticity, are `signed` (they may be negative).
+export const sensitivityParameters = (interventions = defaultInterventions, parameters, country = {}) => {
+  const resolved = resolveParameters(parameters, interventions);
+  const structural = resolved.fertilityModel !== 'reduced';
+  const elasticities = countryElasticities(country, resolved);
+  return [
+    {
+      key: 'factorMultiplier',
+      label: 'Barrier change per intensity',
+      value: resolved.factorMultiplier,
+      apply: (value) => ({ factorMultiplier: value })
+    },
+    {
+      key: 'productivityGrowth',
+      label: 'Growth of tax and spending per person (%/yr)',
+      value: resolved.productivityGrowth,
+      apply: (value) => ({ productivityGrowth: value })
+    },
+    ...(structural ? [] : [{
+      key: 'saturationRate',
+      label: 'Saturation rate k in exp(-kI)',
+      value: resolved.saturationRate,
+      apply: (value) => ({ saturationRate: value })
+    }]),
+    {
+      key: 'tfrCap',
+      label: 'TFR cap',
+      value: resolved.tfrCap,
+      apply: (value) => ({ tfrCap: value })
+    },
+    ...Object.keys(activeInterventions(interventions)).map(policy => ({
+      key: `maxImpact.${policy}`,
+      label: `maxImpact: ${interventions[policy].name}`,
+      value: resolved.maxImpact[policy],
+      apply: (value) => ({ maxImpact: { [policy]: value } })
+    })),
+    ...(structural ? Object.keys(BARRIER_FACTORS).map(factor => ({
+      key: `elasticity.${factor}`,
+      label: `Elasticity: ${BARRIER_FACTORS[factor]}`,
+      value: elasticities[factor],
+      signed: true,
+      apply: (value) => ({ elasticities: { [factor]: value } })
+    })) : []),
+    ...(structural ? [{
+      key: 'motherhoodElasticity',
+      label: 'Elasticity: Motherhood opportunity cost',
+      value: resolved.motherhoodElasticity,
+      signed: true,
+      apply: (value) => ({ motherhoodElasticity: value })
+    }] : [])
+  ];
+};
+
+// [low, high] for every parameter at `spread` % either side of its current value
+export const defaultRanges = (spread = DEFAULT_SPREAD, interventions = defaultInterventions, parameters, country) => Object.fromEntries(sensitivityParameters(interventions, parameters, country).map(parameter => [
+  parameter.key,
+  [parameter.value * (1 - spread / 100), parameter.value * (1 + spread / 100)].sort((a, b) => a - b)
+]));
+
+const OUTPUTS = ['projectedTFR', 'roi'];
+
+// Runs the model at each parameter's low and high value with everything else as in `parameters`.
+// Returns the base outputs and, per output, parameters ranked by swing (|high - low|), largest first.
+// An output can be undefined (the benefit-cost ratio of a mix without costs): an undefined base ranks
+// nothing, and parameters whose low or high run leaves it undefined are listed in `omitted` instead.
+export const runSensitivity = (
+  countryOrKey,
+  policies,
+  {
+    schedule,
+    discountRate,
+    baseline,
+    parameters = {},
+    interventions = defaultInterventions,
+    ranges = defaultRanges(DEFAULT_SPREAD, interventions, parameters, getCountry(countryOrKey))
+  } = {}
+) => {
+  const country = getCountry(countryOrKey);
+  const simulate = (override) => {
+    const res = simulateTFRImpactForCountry(country, policies, {
+      schedule,
+      discountRate,
+      baseline,
+      parameters: {
+        ...parameters,
+        ...override,
+        maxImpact: { ...parameters.maxImpact, ...override.maxImpact },
+        elasticities: { ...parameters.elasticities, ...override.elasticities }
+      },
+      interventions,
+      monteCarlo: false
+    });
+    return Object.fromEntries(OUTPUTS.map(output => [output, res[output]]));
+  };
+  const base = simulate({});
+
+  const trials = sensitivityParameters(interventions, parameters, country).filter(parameter => ranges[parameter.key]).map(parameter => {
+    const [low, high] = ranges[parameter.key].map(Number);
+    if (!Number.isFinite(low) || !Number.isFinite(high)) {
+      throw new Error(`Range for ${parameter.label} must be two numbers`);
+    }
+    if (!parameter.signed && (low < 0 || high < 0)) {
+      throw new Error(`Range for ${parameter.label} must be two non-negative numbers`);
+    }
+    return { parameter, low, high, lowResult: simulate(parameter.apply(low)), highResult: simulate(parameter.apply(high)) };
+  });
+
+  const defined = (output, trial) => Number.isFinite(base[output]) &&
+    Number.isFinite(trial.lowResult[output]) && Number.isFinite(trial.highResult[output]);
+
+  return {
+    base,
+    omitted: Object.fromEntries(OUTPUTS.map(output => [
+      output,
+      trials.filter(trial => !defined(output, trial)).map(trial => trial.parameter.label)
+    ])),
+    ranked: Object.fromEntries(OUTPUTS.map(output => [
+      output,
+      trials
+        .filter(trial => defined(output, trial))
+        .map(({ parameter, low, high, lowResult, highResult }) => ({
+          key: parameter.key,
+          label: parameter.label,
+          value: parameter.value,
+          low,
+          high,
+          atLow: lowResult[output],
+          atHigh: highResult[output],
+          swing: Math.abs(highResult[output] - lowResult[output])
+        }))
+        .sort((a, b) => b.swing - a.swing)
+    ]))
+  };
+};
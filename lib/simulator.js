@@ -0,0 +1,585 @@
+// Headless fertility policy simulation engine, shared by the UI and /api/simulate
+
+import { AGE_GROUPS, projectCohorts } from './cohort';
+import { countryData } from './countries';
+import { LONG_RUN_YEAR, MONTE_CARLO_DRAWS, PROJECTION_START_YEAR, PROJECTION_YEARS, REPLACEMENT_TFR } from './constants';
+import { baselinePath } from './baseline';
+import { analyzeCostBenefit, analyzeCostEffectiveness, groupCostEffectiveness, normalizeDiscountRate } from './costBenefit';
+import { activeInterventions, interventionCategory, INTERVENTION_CATEGORIES, validateStructuralCatalogue } from './interventions';
+import { participationRates, projectLabour } from './labour';
+import { projectFiscal, FISCAL_ITEMS } from './fiscal';
+import { motherhoodPaths, motherhoodProfile, motherhoodWith, opportunityCost } from './motherhood';
+import { buildIntensityPaths, normalizeSchedule } from './schedule';
+import { createRng, sampleDistribution, summarizeDraws } from './uncertainty';
+
+export { countryData };
+export { DEFAULT_DISCOUNT_RATE, normalizeDiscountRate } from './costBenefit';
+export { DEFAULT_BASELINE, normalizeBaseline } from './baseline';
+
+export {
+  MODEL_VERSION,
+  PROJECTION_START_YEAR,
+  PROJECTION_YEARS,
+  LONG_RUN_YEAR,
+  REPLACEMENT_TFR,
+  MONTE_CARLO_DRAWS
+} from './constants';
+
+// AI intervention definitions (aligned with research paper). costPerPoint is the annual operating cost
+// per intensity point and capitalCostPerPoint the one-off cost of each point of scale-up, both in USD.
+export const aiInterventions = {
+  aiEducation: {
+    name: 'AI-Powered Education',
+    category: 'ai',
+    description: 'Adaptive learning platforms reducing private tutoring costs (e.g., hakwon/juku)',
+    maxImpact: 0.15,
+    costPerPoint: 50000,
+    capitalCostPerPoint: 120000,
+    factors: ['educationCost'],
+    // Monte Carlo prior on maxImpact; the mode is maxImpact itself
+    impactDistribution: { type: 'triangular', min: 0.05, max: 0.22 },
+    // Years before any effect, ramp shape and length, and annual decay once fully ramped (see responseProgress)
+    response: { lag: 1, shape: 'logistic', rampYears: 8, decay: 0 }
+  },
+  workplaceAI: {
+    name: 'Workplace AI Systems',
+    category: 'ai',
+    description: 'Bias reduction, workflow optimization, and automation to improve work-life balance and reduce motherhood penalty',
+    maxImpact: 0.12,
+    costPerPoint: 75000,
+    capitalCostPerPoint: 90000,
+    factors: ['workLifeBalance'],
+    motherhood: { retention: 15, wagePenalty: 10 },
+    impactDistribution: { type: 'triangular', min: 0.04, max: 0.18 },
+    response: { lag: 1, shape: 'logistic', rampYears: 10, decay: 0 }
+  },
+  childcareAI: {
+    name: 'AI Childcare Support',
+    category: 'ai',
+    description: 'Smart coordination and cost optimization for childcare',
+    maxImpact: 0.10,
+    costPerPoint: 60000,
+    capitalCostPerPoint: 80000,
+    factors: ['childcareCost'],
+    impactDistribution: { type: 'triangular', min: 0.04, max: 0.15 },
+    response: { lag: 0, shape: 'exponential', rampYears: 5, decay: 0.01 }
+  },
+  housingAI: {
+    name: 'AI Housing Solutions',
+    category: 'ai',
+    description: 'Smart city planning and affordable housing optimization',
+    maxImpact: 0.08,
+    costPerPoint: 100000,
+    capitalCostPerPoint: 250000,
+    factors: ['housingCost'],
+    impactDistribution: { type: 'triangular', min: 0.02, max: 0.12 },
+    response: { lag: 3, shape: 'linear', rampYears: 12, decay: 0 }
+  }
+};
+
+// Conventional (non-AI) family policy levers, modelled the same way so the two can be benchmarked.
+// Transfers carry high running costs and little set-up; cash effects partly fade as births are brought forward.
+export const conventionalInterventions = {
+  cashAllowance: {
+    name: 'Cash Child Allowance',
+    category: 'conventional',
+    description: 'Birth bonuses and monthly cash allowances per child',
+    maxImpact: 0.10,
+    costPerPoint: 200000,
+    capitalCostPerPoint: 10000,
+    factors: ['educationCost', 'childcareCost'],
+    // Cash offsets only part of each cost, so the barriers move less than under the model's factorMultiplier
+    barrierStrength: 0.4,
+    impactDistribution: { type: 'triangular', min: 0.03, max: 0.14 },
+    response: { lag: 1, shape: 'exponential', rampYears: 3, decay: 0.02 }
+  },
+  parentalLeave: {
+    name: 'Extended Parental Leave',
+    category: 'conventional',
+    description: 'Longer, better-paid maternity and paternity leave with job protection',
+    maxImpact: 0.06,
+    costPerPoint: 120000,
+    capitalCostPerPoint: 20000,
+    factors: ['workLifeBalance'],
+    barrierStrength: 0.5,
+    motherhood: { retention: 10, wagePenalty: 2 },
+    impactDistribution: { type: 'triangular', min: 0.02, max: 0.09 },
+    response: { lag: 1, shape: 'logistic', rampYears: 6, decay: 0 }
+  },
+  publicChildcare: {
+    name: 'Public Childcare Places',
+    category: 'conventional',
+    description: 'Subsidised public daycare and kindergarten places',
+    maxImpact: 0.09,
+    costPerPoint: 150000,
+    capitalCostPerPoint: 300000,
+    factors: ['childcareCost'],
+    impactDistribution: { type: 'triangular', min: 0.04, max: 0.13 },
+    response: { lag: 2, shape: 'linear', rampYears: 8, decay: 0 }
+  },
+  housingSubsidy: {
+    name: 'Family Housing Subsidies',
+    category: 'conventional',
+    description: 'Rent support, mortgage relief and priority public housing for families with children',
+    maxImpact: 0.07,
+    costPerPoint: 180000,
+    capitalCostPerPoint: 50000,
+    factors: ['housingCost'],
+    barrierStrength: 0.9,
+    impactDistribution: { type: 'triangular', min: 0.02, max: 0.11 },
+    response: { lag: 1, shape: 'exponential', rampYears: 4, decay: 0.01 }
+  }
+};
+
+// The default catalogue; engine entry points take an edited one as their `interventions` option
+// (see lib/interventions.js)
+export const defaultInterventions = { ...aiInterventions, ...conventionalInterventions };
+
+export const DEFAULT_POLICIES = Object.freeze(
+  Object.fromEntries(Object.keys(defaultInterventions).map(policy => [policy, 0]))
+);
+
+export const FERTILITY_MODELS = {
+  structural: 'Structural (barrier elasticities)',
+  reduced: 'Reduced form (maxImpact)'
+};
+
+// Model constants that sensitivity analysis can override; maxImpact overrides go in `maxImpact` and
+// elasticity overrides in `elasticities`
+export const DEFAULT_PARAMETERS = Object.freeze({
+  fertilityModel: 'structural', // see fertilityResponse
+  factorMultiplier: 0.4, // barrier change per unit of intensity
+  benefitGdpShare: 0.8, // share of GDP per capita credited per additional person (economicBenefit only)
+  productivityGrowth: 1, // real growth of tax and spending per person, % a year (lib/fiscal.js)
+  motherhoodElasticity: -0.15, // of TFR to the opportunity cost of a birth, structural only (lib/motherhood.js)
+  saturationRate: 2, // k in I x (1 - exp(-kI)), reduced form only
+  tfrCap: 2.5
+});
+
+// For profiles without their own elasticities (e.g. scenarios saved before they existed)
+export const DEFAULT_ELASTICITIES = Object.freeze({
+  educationCost: -0.16,
+  workLifeBalance: 0.16,
+  childcareCost: -0.1,
+  housingCost: -0.1
+});
+
+// Defaults plus overrides, with every intervention's maxImpact filled in
+export const resolveParameters = (overrides = {}, interventions = defaultInterventions) => ({
+  ...DEFAULT_PARAMETERS,
+  ...overrides,
+  maxImpact: {
+    ...Object.fromEntries(Object.keys(interventions).map(policy => [policy, interventions[policy].maxImpact])),
+    ...overrides.maxImpact
+  }
+});
+
+export const countryElasticities = (country, parameters = {}) => ({
+  ...DEFAULT_ELASTICITIES,
+  ...country.elasticities,
+  ...parameters.elasticities
+});
+
+// Barrier index multiplier at `intensity` %: cost barriers fall and work-life balance rises by
+// factorMultiplier x barrierStrength at full intensity. Costs never fall below 5% of their level.
+export const barrierMultiplier = (factor, intensity, intervention, { factorMultiplier } = DEFAULT_PARAMETERS) => {
+  const strength = intervention.barrierStrength === undefined ? 1 : intervention.barrierStrength;
+  const change = factorMultiplier * strength * intensity / 100;
+  return factor === 'workLifeBalance' ? 1 + change : Math.max(0.05, 1 - change);
+};
+
+// Fills in missing interventions with 0 and rejects anything outside 0-100
+export const normalizePolicies = (policies = {}, interventions = defaultInterventions) => {
+  const normalized = Object.fromEntries(Object.keys(interventions).map(policy => [policy, 0]));
+  Object.keys(policies).forEach(policy => {
+    if (!Object.prototype.hasOwnProperty.call(interventions, policy)) {
+      throw new Error(`Unknown intervention: ${policy}`);
+    }
+    const value = Number(policies[policy]);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw new Error(`Intensity for ${policy} must be a number between 0 and 100`);
+    }
+    normalized[policy] = value;
+  });
+  return normalized;
+};
+
+// Saturating response of TFR to the combined intervention impact, capped at 2.5
+export const projectTFR = (baseTFR, tfrImpact, { saturationRate, tfrCap } = DEFAULT_PARAMETERS) => {
+  const finalTFRIncrease = tfrImpact * (1 - Math.exp(-saturationRate * tfrImpact));
+  return Math.min(tfrCap, baseTFR + finalTFRIncrease);
+};
+
+const logistic = (x) => 1 / (1 + Math.exp(-10 * (x - 0.5)));
+
+// Ramp shapes map the elapsed share of the ramp (0-1) to the share of the effect reached (0-1)
+export const RAMP_SHAPES = {
+  linear: (x) => x,
+  logistic: (x) => (logistic(x) - logistic(0)) / (logistic(1) - logistic(0)),
+  exponential: (x) => (1 - Math.exp(-3 * x)) / (1 - Math.exp(-3))
+};
+
+// Share of an intervention's TFR gain reached `years` after it starts: nothing during the lag,
+// then the ramp shape over rampYears, then decay compounding annually
+export const responseProgress = ({ lag, shape, rampYears, decay }, years) => {
+  const active = years - lag;
+  if (active <= 0) return 0;
+  if (active < rampYears) return RAMP_SHAPES[shape](active / rampYears);
+  return Math.pow(1 - decay, active - rampYears);
+};
+
+// Engine entry points accept a countryData key or a full profile object (e.g. an uploaded one)
+export const getCountry = (countryOrKey) => {
+  if (typeof countryOrKey === 'object' && countryOrKey !== null) {
+    return countryOrKey;
+  }
+  const country = Object.prototype.hasOwnProperty.call(countryData, countryOrKey) ? countryData[countryOrKey] : null;
+  if (!country) {
+    throw new Error(`Unknown country: ${countryOrKey}`);
+  }
+  return country;
+};
+
+// Validates a rollout schedule against the intervention catalogue
+export const normalizePolicySchedule = (schedule, interventions = defaultInterventions) => normalizeSchedule(schedule, Object.keys(interventions));
+
+// How interventions move TFR, as { impact(policy, intensity, maxImpact), gain(baseTFR, combinedImpact) }.
+// Impacts add up across interventions. Reduced form: impact is maxImpact x intensity and the gain follows
+// projectTFR. Structural: impact is the change in log TFR from the intervention's barrier changes (each
+// barrier's elasticity x log of its barrierMultiplier) plus motherhoodElasticity x log of the change in the
+// opportunity cost of a birth, scaled by maxImpact relative to the catalogue value so that Monte Carlo draws
+// and calibrated values still apply.
+export const fertilityResponse = (country, interventions, parameters = DEFAULT_PARAMETERS) => {
+  if (parameters.fertilityModel === 'reduced') {
+    return {
+      impact: (policy, intensity, maxImpact) => maxImpact * intensity / 100,
+      gain: (baseTFR, impact) => projectTFR(baseTFR, impact, parameters) - baseTFR
+    };
+  }
+  const elasticities = countryElasticities(country, parameters);
+  const motherhood = motherhoodProfile(country);
+  return {
+    impact: (policy, intensity, maxImpact) => {
+      const intervention = interventions[policy];
+      const scale = intervention.maxImpact > 0 ? maxImpact / intervention.maxImpact : 1;
+      const barriers = intervention.factors.reduce((total, factor) =>
+        total + elasticities[factor] * Math.log(barrierMultiplier(factor, intensity, intervention, parameters)), 0);
+      const penalty = intervention.motherhood
+        ? parameters.motherhoodElasticity
+          * Math.log(opportunityCost(motherhoodWith(motherhood, { [policy]: intensity }, interventions)) / opportunityCost(motherhood))
+        : 0;
+      return scale * (barriers + penalty);
+    },
+    gain: (baseTFR, impact) => Math.min(parameters.tfrCap, baseTFR * Math.exp(impact)) - baseTFR
+  };
+};
+
+// Baseline TFR in a projection year; `baseline` is a single TFR or a per-year path
+const baselineAt = (baseline, year) => (Array.isArray(baseline) ? baseline[year] : baseline);
+
+// Per-year TFR gain attributed to each intervention over `baseline`. The long-run gain for each year's
+// combined impact (see fertilityResponse; the structural model reads `country`'s elasticities) is split in
+// proportion to each intervention's share of that impact; every change in an intervention's share then
+// phases in along its own responseProgress from the year it happens.
+export const projectContributions = (
+  baseline,
+  intensityPaths,
+  {
+    country = {},
+    interventions = defaultInterventions,
+    maxImpactFor = policy => interventions[policy].maxImpact,
+    parameters = DEFAULT_PARAMETERS
+  } = {}
+) => {
+  const response = fertilityResponse(country, interventions, parameters);
+  const impactPaths = Object.fromEntries(Object.keys(intensityPaths).map(policy => [
+    policy,
+    intensityPaths[policy].map(intensity => response.impact(policy, intensity, maxImpactFor(policy)))
+  ]));
+  const combined = Array.from({ length: PROJECTION_YEARS + 1 }, (_, year) =>
+    Object.keys(impactPaths).reduce((total, policy) => total + impactPaths[policy][year], 0));
+  const gains = combined.map((impact, year) => response.gain(baselineAt(baseline, year), impact));
+
+  return Object.fromEntries(Object.keys(impactPaths).map(policy => {
+    const longRun = impactPaths[policy].map((impact, year) => (combined[year] > 0 ? gains[year] * impact / combined[year] : 0));
+    const { response } = interventions[policy];
+    return [policy, longRun.map((_, year) => {
+      let contribution = 0;
+      for (let start = 0; start <= year; start++) {
+        const shift = longRun[start] - (start > 0 ? longRun[start - 1] : 0);
+        contribution += shift * responseProgress(response, year - start);
+      }
+      // Decay can leave a scaled-back programme's remaining effect below what its cut removes
+      return Math.max(0, contribution);
+    })];
+  }));
+};
+
+// Baseline TFR plus every intervention's contribution, capped like projectTFR
+const tfrPathFromContributions = (baseline, contributions, { tfrCap } = DEFAULT_PARAMETERS) => Array.from({ length: PROJECTION_YEARS + 1 }, (_, year) =>
+  Math.min(tfrCap, Object.keys(contributions).reduce((tfr, policy) => tfr + contributions[policy][year], baselineAt(baseline, year)))
+);
+
+const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+// Intensity as felt through each intervention's response curve for `years` years: every change in intensity
+// phases in along responseProgress from the year it happens, and final intensities hold after the horizon
+const phaseIntensityPaths = (intensityPaths, interventions, years) => Object.fromEntries(Object.keys(intensityPaths).map(policy => {
+  const path = intensityPaths[policy];
+  const at = (year) => path[Math.min(year, path.length - 1)];
+  return [policy, Array.from({ length: years }, (_, year) => {
+    let phased = 0;
+    for (let start = 0; start <= year; start++) {
+      phased += (at(start) - (start > 0 ? at(start - 1) : 0)) * responseProgress(interventions[policy].response, year - start);
+    }
+    return Math.max(0, phased);
+  })];
+}));
+
+// Enabled interventions and their intensity paths; policies and schedule steps for disabled or
+// unknown interventions are ignored, missing ones run at 0
+const prepareRun = (policies, schedule, interventions) => {
+  const catalogue = activeInterventions(interventions);
+  const activePolicies = Object.fromEntries(Object.keys(catalogue).map(policy => [policy, Number(policies[policy]) || 0]));
+  const activeSchedule = schedule && Object.fromEntries(Object.keys(schedule).filter(policy => catalogue[policy]).map(policy => [policy, schedule[policy]]));
+  return { catalogue, intensityPaths: buildIntensityPaths(activePolicies, activeSchedule) };
+};
+
+// Draws maxImpact for every intervention and returns the spread of TFR outcomes. An overridden
+// maxImpact rescales that intervention's prior around the new value.
+export const runMonteCarlo = (
+  countryOrKey,
+  policies = DEFAULT_POLICIES,
+  { schedule, parameters, baseline, interventions = defaultInterventions, draws = MONTE_CARLO_DRAWS, seed = 1 } = {}
+) => {
+  const country = getCountry(countryOrKey);
+  const { path: counterfactual } = baselinePath(country, baseline);
+  const { catalogue, intensityPaths } = prepareRun(policies, schedule, interventions);
+  const resolved = resolveParameters(parameters, catalogue);
+  const rng = createRng(seed);
+  const paths = [];
+
+  for (let draw = 0; draw < draws; draw++) {
+    const sampled = {};
+    Object.keys(intensityPaths).forEach(policy => {
+      const intervention = catalogue[policy];
+      const scale = intervention.maxImpact > 0 ? resolved.maxImpact[policy] / intervention.maxImpact : 0;
+      const { type, min, max } = intervention.impactDistribution;
+      sampled[policy] = Math.max(0, sampleDistribution({ type, min: min * scale, max: max * scale, mode: resolved.maxImpact[policy] }, rng));
+    });
+    paths.push(tfrPathFromContributions(
+      counterfactual,
+      projectContributions(counterfactual, intensityPaths, {
+        country,
+        interventions: catalogue,
+        maxImpactFor: policy => sampled[policy],
+        parameters: resolved
+      }),
+      resolved
+    ));
+  }
+
+  const bands = [];
+  for (let year = 0; year <= PROJECTION_YEARS; year++) {
+    const summary = summarizeDraws(paths.map(path => path[year]));
+    bands.push({
+      year: PROJECTION_START_YEAR + year,
+      median: Number(summary.median.toFixed(3)),
+      band50: summary.band50.map(value => Number(value.toFixed(3))),
+      band80: summary.band80.map(value => Number(value.toFixed(3))),
+      band95: summary.band95.map(value => Number(value.toFixed(3)))
+    });
+  }
+
+  return {
+    draws,
+    projectedTFR: summarizeDraws(paths.map(path => path[PROJECTION_YEARS])),
+    bands
+  };
+};
+
+// costData continued to LONG_RUN_YEAR at the final year's operating cost, matching the TFR paths that are
+// held at their final-year level for the long-run projection
+const extendCostData = (costData, intensityPaths, interventions) => {
+  const last = costData[costData.length - 1];
+  const operating = Object.fromEntries(Object.keys(intensityPaths).map(policy => [
+    policy,
+    interventions[policy].costPerPoint * intensityPaths[policy][intensityPaths[policy].length - 1] / 1000000
+  ]));
+  return [...costData, ...Array.from({ length: LONG_RUN_YEAR - last.year }, (_, index) => ({
+    year: last.year + index + 1,
+    capital: 0,
+    operating: last.operating,
+    total: last.operating,
+    ...operating
+  }))];
+};
+
+// Annual capital and operating cost by intervention ($M); capital is spent whenever intensity rises
+const buildCostData = (intensityPaths, interventions) => Array.from({ length: PROJECTION_YEARS + 1 }, (_, year) => {
+  const entry = { year: PROJECTION_START_YEAR + year, capital: 0, operating: 0, total: 0 };
+  Object.keys(intensityPaths).forEach(policy => {
+    const intervention = interventions[policy];
+    const path = intensityPaths[policy];
+    const capital = intervention.capitalCostPerPoint * Math.max(0, path[year] - (year > 0 ? path[year - 1] : 0)) / 1000000;
+    const operating = intervention.costPerPoint * path[year] / 1000000;
+    entry[policy] = capital + operating;
+    entry.capital += capital;
+    entry.operating += operating;
+    entry.total += capital + operating;
+  });
+  return entry;
+});
+
+// `schedule` (optional) gives interventions a year-by-year intensity path instead of their constant
+// slider value; see lib/schedule.js. `discountRate` (% per year) drives the cost-benefit analysis,
+// `baseline` picks the counterfactual TFR path (see lib/baseline.js), `parameters` overrides model
+// constants (see resolveParameters), `interventions` replaces the default catalogue and
+// `monteCarlo: false` skips the uncertainty bands (uncertainty is then null).
+export const simulateTFRImpactForCountry = (
+  countryOrKey,
+  policies = DEFAULT_POLICIES,
+  { schedule, discountRate, baseline, parameters, interventions = defaultInterventions, monteCarlo = true } = {}
+) => {
+  const country = getCountry(countryOrKey);
+  const counterfactual = baselinePath(country, baseline);
+  const { catalogue, intensityPaths } = prepareRun(policies, schedule, interventions);
+  const resolved = resolveParameters(parameters, catalogue);
+  if (resolved.fertilityModel !== 'reduced') validateStructuralCatalogue(catalogue);
+  const scheduled = Boolean(schedule) && Object.keys(schedule).some(policy => catalogue[policy]);
+  const costData = buildCostData(intensityPaths, catalogue);
+  const response = fertilityResponse(country, catalogue, resolved);
+  let factorReductions = { ...country.baseFactors };
+  let policyImpacts = {};
+  let policyCosts = {};
+
+  Object.keys(intensityPaths).forEach(policy => {
+    const intervention = catalogue[policy];
+    const intensity = average(intensityPaths[policy]);
+    policyImpacts[policy] = response.impact(policy, intensity, resolved.maxImpact[policy]);
+    policyCosts[policy] = costData.reduce((total, point) => total + point[policy], 0);
+
+    intervention.factors.forEach(factor => {
+      factorReductions[factor] *= barrierMultiplier(factor, intensity, intervention, resolved);
+    });
+  });
+
+  const contributions = projectContributions(counterfactual.path, intensityPaths, {
+    country,
+    interventions: catalogue,
+    maxImpactFor: policy => resolved.maxImpact[policy],
+    parameters: resolved
+  });
+  const tfrPath = tfrPathFromContributions(counterfactual.path, contributions, resolved);
+  const projectedTFR = tfrPath[PROJECTION_YEARS];
+  const baselineTFR = counterfactual.path[PROJECTION_YEARS];
+
+  const projectionData = tfrPath.map((tfr, year) => ({ // Extended to 20 years for more impact
+    year: PROJECTION_START_YEAR + year,
+    baseline: Number(counterfactual.path[year].toFixed(3)),
+    projected: Number(tfr.toFixed(3)),
+    target: REPLACEMENT_TFR,
+    // TFR gain attributed to each intervention in this year
+    contributions: Object.fromEntries(Object.keys(contributions).map(policy => [
+      policy,
+      Number(contributions[policy][year].toFixed(4))
+    ]))
+  }));
+
+  // Cohort-component projection of baseline vs policy TFR paths. Age-structure indicators run on to
+  // LONG_RUN_YEAR with both paths held at their final-year TFR, so births in the horizon reach working age.
+  const extendPath = (path) => [...path, ...Array(LONG_RUN_YEAR - PROJECTION_START_YEAR - PROJECTION_YEARS).fill(path[path.length - 1])];
+  const longRunBaseline = projectCohorts(country, extendPath(projectionData.map(point => point.baseline)));
+  const longRunProjected = projectCohorts(country, extendPath(projectionData.map(point => point.projected)));
+  const baselineCohorts = longRunBaseline.slice(0, PROJECTION_YEARS + 1);
+  const projectedCohorts = longRunProjected.slice(0, PROJECTION_YEARS + 1);
+  const participation = participationRates(country);
+  const longRunYears = longRunBaseline.length;
+  const motherhood = motherhoodPaths(country, phaseIntensityPaths(intensityPaths, catalogue, longRunYears), catalogue, longRunYears);
+  const { labourData, labourMilestones } = projectLabour(longRunBaseline, longRunProjected, participation, motherhood);
+  const fiscalData = projectFiscal(country, longRunBaseline, longRunProjected, participation, motherhood, resolved);
+  const populationData = projectionData.map((point, index) => ({
+    year: point.year,
+    baselineBirths: Math.round(baselineCohorts[index].births),
+    projectedBirths: Math.round(projectedCohorts[index].births),
+    baselinePopulation: Number(baselineCohorts[index].population.toFixed(3)),
+    projectedPopulation: Number(projectedCohorts[index].population.toFixed(3))
+  }));
+  const finalBaseline = baselineCohorts[baselineCohorts.length - 1];
+  const finalProjected = projectedCohorts[projectedCohorts.length - 1];
+  const populationPyramid = AGE_GROUPS.map((age, index) => ({
+    age,
+    baselineMale: -Number(finalBaseline.male[index].toFixed(3)),
+    baselineFemale: Number(finalBaseline.female[index].toFixed(3)),
+    projectedMale: -Number(finalProjected.male[index].toFixed(3)),
+    projectedFemale: Number(finalProjected.female[index].toFixed(3))
+  })).reverse();
+
+  // Additional people alive at the end of the horizon relative to the baseline
+  const populationIncrease = Math.round((finalProjected.population - finalBaseline.population) * 1000000);
+
+  // Broad economic benefit (lifetime GDP contribution of the additional population); not part of the appraisal
+  const benefitPerPerson = country.demographics.gdpPerCapita * resolved.benefitGdpShare;
+  const economicBenefit = populationIncrease * benefitPerPerson;
+
+  // The appraisal runs to LONG_RUN_YEAR so that additional births reach working age; benefits are the change
+  // in the net fiscal balance
+  const appraisalCosts = extendCostData(costData, intensityPaths, catalogue);
+  const costBenefit = analyzeCostBenefit({
+    costData: appraisalCosts,
+    benefits: fiscalData.map(point => point.balanceChange),
+    benefitItems: fiscalData.map(point => Object.fromEntries(Object.keys(FISCAL_ITEMS).map(item => [item, point[item]]))),
+    discountRate: normalizeDiscountRate(discountRate)
+  });
+  const effectivenessByPolicy = analyzeCostEffectiveness({
+    costData: appraisalCosts,
+    contributions,
+    presentBenefits: costBenefit.presentBenefits,
+    discountRate: costBenefit.discountRate
+  });
+
+  return {
+    projectedTFR,
+    // Gain over the counterfactual in the final year
+    tfrIncrease: projectedTFR - baselineTFR,
+    baselineTFR,
+    // Baseline actually used (a trend request on a profile without history runs flat)
+    baseline: { mode: counterfactual.mode, trendRate: counterfactual.trendRate, forecast: counterfactual.forecast },
+    totalCost: costData.reduce((total, point) => total + point.total, 0),
+    projectionData,
+    factorReductions,
+    economicBenefit: economicBenefit / 1000000000,
+    roi: costBenefit.benefitCostRatio,
+    costBenefit,
+    costEffectiveness: {
+      byPolicy: effectivenessByPolicy,
+      byCategory: groupCostEffectiveness(
+        effectivenessByPolicy,
+        policy => interventionCategory(catalogue[policy]),
+        Object.keys(INTERVENTION_CATEGORIES)
+      )
+    },
+    populationIncrease,
+    populationData,
+    populationPyramid,
+    // Working-age population, female participation, labour force and old-age dependency to LONG_RUN_YEAR
+    // (see lib/labour.js)
+    labourData,
+    labourMilestones,
+    // Tax, pension, healthcare and education flows and GDP to LONG_RUN_YEAR (see lib/fiscal.js)
+    fiscalData,
+    // Post-birth employment retention and wage penalty, baseline and at the end of the horizon (lib/motherhood.js)
+    motherhood: { baseline: motherhood.baseline[PROJECTION_YEARS], projected: motherhood.projected[PROJECTION_YEARS] },
+    uncertainty: monteCarlo ? runMonteCarlo(country, policies, { schedule, parameters, baseline, interventions: catalogue }) : null,
+    scheduled,
+    intensityPaths,
+    interventions: catalogue,
+    // Model constants used, with overrides applied
+    parameters: resolved,
+    // Barrier elasticities of TFR (used by the structural model)
+    elasticities: countryElasticities(country, resolved),
+    costData,
+    policyImpacts,
+    policyCosts
+  };
+};
@@ -0,0 +1,60 @@
+// Random sampling and summary statistics for Monte Carlo runs
+
+// Small seedable PRNG (mulberry32) so repeated runs of the same scenario give the same bands
+export const createRng = (seed = 1) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const sampleNormal = (rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Supported distributions: triangular { min, mode, max }, uniform { min, max }, normal { mean, sd }
+export const sampleDistribution = (distribution, rng) => {
+  switch (distribution.type) {
+    case 'triangular': {
+      const { min, mode, max } = distribution;
+      const u = rng();
+      const cut = (mode - min) / (max - min);
+      return u < cut
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'uniform':
+      return distribution.min + rng() * (distribution.max - distribution.min);
+    case 'normal':
+      return distribution.mean + sampleNormal(rng) * distribution.sd;
+    default:
+      throw new Error(`Unknown distribution type: ${distribution.type}`);
+  }
+};
+
+// Linear-interpolated quantile of an ascending-sorted array
+export const quantile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Central interval bounds for a set of draws, e.g. { band50: [p25, p75], ... }
+export const CREDIBLE_LEVELS = [50, 80, 95];
+
+export const summarizeDraws = (draws) => {
+  const sorted = [...draws].sort((a, b) => a - b);
+  const summary = { median: quantile(sorted, 0.5) };
+  CREDIBLE_LEVELS.forEach(level => {
+    const tail = (1 - level / 100) / 2;
+    summary[`band${level}`] = [quantile(sorted, tail), quantile(sorted, 1 - tail)];
+  });
+  return summary;
+};
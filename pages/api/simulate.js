@@ -0,0 +1,86 @@
+import {
+  countryData,
+  defaultInterventions,
+  normalizePolicies,
+  normalizePolicySchedule,
+  normalizeDiscountRate,
+  normalizeBaseline,
+  simulateTFRImpactForCountry,
+  MODEL_VERSION
+} from '../../lib/simulator';
+import { validateCatalogue, validateStructuralCatalogue } from '../../lib/interventions';
+import { BACKTEST_MODES, runBacktest } from '../../lib/backtest';
+import { validateParameters } from '../../lib/calibration';
+
+// POST { country: 'south_korea', policies: { aiEducation: 50, ... }, schedule: { childcareAI: [{ year: 2026, intensity: 20 }, ...] }, discountRate: 3.5 }
+// An optional `interventions` catalogue replaces the built-in one; `baseline` is { mode: 'flat' | 'trend' | 'forecast', forecast }
+// and `backtestYear` adds a backtest of the structural model and each data-driven baseline from that year. `parameters` overrides model
+// constants, e.g. { saturationRate: 3, maxImpact: { aiEducation: 0.1 } } from a calibration, or
+// { fertilityModel: 'reduced' } / { elasticities: { housingCost: -0.2 } } for the TFR response
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const { country, policies, schedule, discountRate, baseline, parameters, interventions, backtestYear } = req.body || {};
+  if (typeof country !== 'string' || !Object.prototype.hasOwnProperty.call(countryData, country)) {
+    return res.status(400).json({
+      error: `Unknown country: ${country}`,
+      countries: Object.keys(countryData)
+    });
+  }
+
+  let catalogue;
+  let normalized;
+  let normalizedSchedule;
+  let normalizedRate;
+  let normalizedBaseline;
+  let normalizedParameters;
+  let backtest;
+  try {
+    if (policies !== undefined && (policies === null || typeof policies !== 'object' || Array.isArray(policies))) {
+      throw new Error('policies must be an object mapping intervention keys to intensities');
+    }
+    catalogue = interventions === undefined ? defaultInterventions : validateCatalogue(interventions);
+    normalized = normalizePolicies(policies, catalogue);
+    normalizedSchedule = normalizePolicySchedule(schedule, catalogue);
+    normalizedRate = normalizeDiscountRate(discountRate);
+    normalizedBaseline = normalizeBaseline(baseline);
+    normalizedParameters = parameters === undefined ? undefined : validateParameters(parameters, catalogue);
+    if ((normalizedParameters || {}).fertilityModel !== 'reduced') validateStructuralCatalogue(catalogue);
+    if (backtestYear !== undefined) {
+      backtest = Object.fromEntries(Object.keys(BACKTEST_MODES).map(mode => [
+        mode,
+        runBacktest(country, Number(backtestYear), { mode, parameters: normalizedParameters })
+      ]));
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  let results;
+  try {
+    results = simulateTFRImpactForCountry(country, normalized, {
+      schedule: normalizedSchedule,
+      discountRate: normalizedRate,
+      baseline: normalizedBaseline,
+      parameters: normalizedParameters,
+      interventions: catalogue
+    });
+  } catch (err) {
+    return res.status(500).json({ error: `Simulation failed: ${err.message}` });
+  }
+
+  return res.status(200).json({
+    modelVersion: MODEL_VERSION,
+    country,
+    policies: normalized,
+    schedule: normalizedSchedule,
+    discountRate: normalizedRate,
+    baseline: normalizedBaseline,
+    parameters: normalizedParameters,
+    results,
+    backtest
+  });
+}
@@ -1,699 +1,1161 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
-import { Play, RotateCcw, TrendingUp, Users, DollarSign, Clock } from 'lucide-react';
-import Head from 'next/head';
-
-const COLORS = ['#3b82f6', '#10b981', '#ef4444', '#f59e0b'];
-
-const FertilityPolicySimulator = () => {
-  const [selectedCountry, setSelectedCountry] = useState('south_korea');
-  const [compareMode, setCompareMode] = useState(false);
-  const [policies, setPolicies] = useState({
-    aiEducation: 0,
-    workplaceAI: 0,
-    childcareAI: 0,
-    housingAI: 0
-  });
-  const [results, setResults] = useState({});
-  const [isSimulating, setIsSimulating] = useState(false);
-
-  // Base fertility rates and country data (updated based on recent estimates as of 2025)
-  const countryData = {
-    south_korea: {
-      name: 'South Korea',
-      baseTFR: 0.72, // Kept as per original; recent reports show slight fluctuations but still critically low
-      baseFactors: {
-        educationCost: 85,
-        workLifeBalance: 25,
-        childcareCost: 70,
-        housingCost: 90
-      },
-      demographics: {
-        population: 51.8,
-        gdpPerCapita: 35000,
-        femaleParticipation: 59.2
-      }
-    },
-    japan: {
-      name: 'Japan',
-      baseTFR: 1.20, // Updated to 2024 estimate (down from 1.26 in 2023)
-      baseFactors: {
-        educationCost: 75,
-        workLifeBalance: 30,
-        childcareCost: 65,
-        housingCost: 80
-      },
-      demographics: {
-        population: 124.8,
-        gdpPerCapita: 40000,
-        femaleParticipation: 71.2
-      }
-    }
-  };
-
-  // AI intervention definitions (aligned with research paper)
-  const aiInterventions = {
-    aiEducation: {
-      name: 'AI-Powered Education',
-      description: 'Adaptive learning platforms reducing private tutoring costs (e.g., hakwon/juku)',
-      maxImpact: 0.15,
-      costPerPoint: 50000,
-      factors: ['educationCost']
-    },
-    workplaceAI: {
-      name: 'Workplace AI Systems',
-      description: 'Bias reduction, workflow optimization, and automation to improve work-life balance and reduce motherhood penalty',
-      maxImpact: 0.12,
-      costPerPoint: 75000,
-      factors: ['workLifeBalance']
-    },
-    childcareAI: {
-      name: 'AI Childcare Support',
-      description: 'Smart coordination and cost optimization for childcare',
-      maxImpact: 0.10,
-      costPerPoint: 60000,
-      factors: ['childcareCost']
-    },
-    housingAI: {
-      name: 'AI Housing Solutions',
-      description: 'Smart city planning and affordable housing optimization',
-      maxImpact: 0.08,
-      costPerPoint: 100000,
-      factors: ['housingCost']
-    }
-  };
-
-  const simulateTFRImpactForCountry = (countryKey) => {
-    const country = countryData[countryKey];
-    let tfrImpact = 0;
-    let totalCost = 0;
-    let factorReductions = { ...country.baseFactors };
-    let policyImpacts = {};
-    let policyCosts = {};
-
-    Object.keys(policies).forEach(policy => {
-      const intervention = aiInterventions[policy];
-      const intensity = policies[policy] / 100;
-      const policyImpact = intervention.maxImpact * intensity;
-      tfrImpact += policyImpact;
-      const policyCost = intervention.costPerPoint * policies[policy];
-      totalCost += policyCost;
-      policyImpacts[policy] = policyImpact;
-      policyCosts[policy] = policyCost / 1000000;
-
-      intervention.factors.forEach(factor => {
-        const isPositiveFactor = factor === 'workLifeBalance';
-        const multiplier = isPositiveFactor ? (1 + intensity * 0.4) : (1 - intensity * 0.4);
-        factorReductions[factor] *= multiplier;
-      });
-    });
-
-    const finalTFRIncrease = tfrImpact * (1 - Math.exp(-2 * tfrImpact));
-    const projectedTFR = Math.min(2.5, country.baseTFR + finalTFRIncrease);
-
-    const projectionData = [];
-    for (let year = 0; year <= 20; year++) { // Extended to 20 years for more impact
-      const progress = Math.min(1, year / 10); // Slower ramp-up for realism
-      const currentTFR = country.baseTFR + (projectedTFR - country.baseTFR) * progress;
-      projectionData.push({
-        year: 2025 + year,
-        baseline: country.baseTFR,
-        projected: Number(currentTFR.toFixed(3)),
-        target: 2.1
-      });
-    }
-
-    // Improved population increase calculation (approximate annual births increase over 20 years)
-    const averageTFRIncrease = (projectedTFR - country.baseTFR) / 2;
-    const populationIncrease = averageTFRIncrease * country.demographics.population * 1000; // More realistic multiplier
-
-    // Enhanced economic benefit (lifetime GDP contribution, adjusted for productivity gains)
-    const economicBenefit = populationIncrease * country.demographics.gdpPerCapita * 0.8; // Slight increase for AI productivity offset
-
-    return {
-      projectedTFR,
-      tfrIncrease: projectedTFR - country.baseTFR,
-      totalCost: totalCost / 1000000,
-      projectionData,
-      factorReductions,
-      economicBenefit: economicBenefit / 1000000000,
-      roi: economicBenefit / totalCost,
-      populationIncrease,
-      policyImpacts,
-      policyCosts
-    };
-  };
-
-  const runSimulation = () => {
-    setIsSimulating(true);
-    setTimeout(() => {
-      const countriesToSimulate = compareMode ? Object.keys(countryData) : [selectedCountry];
-      const newResults = {};
-      countriesToSimulate.forEach(key => {
-        newResults[key] = simulateTFRImpactForCountry(key);
-      });
-      setResults(newResults);
-      setIsSimulating(false);
-    }, 2000);
-  };
-
-  const resetSimulation = () => {
-    setPolicies({
-      aiEducation: 0,
-      workplaceAI: 0,
-      childcareAI: 0,
-      housingAI: 0
-    });
-    setResults({});
-  };
-
-  const ResultsDisplay = ({ res, country, isCompact = false }) => {
-    const metricGridClass = isCompact ? 'grid-cols-2' : 'grid-cols-1 md:grid-cols-4';
-    const chartHeight = isCompact ? 250 : 300;
-
-    const policyImpactData = Object.keys(res.policyImpacts).map(policy => ({
-      name: aiInterventions[policy].name,
-      value: res.policyImpacts[policy]
-    })).filter(item => item.value > 0);
-
-    return (
-      <>
-        {/* Key Metrics */}
-        <div className={`grid ${metricGridClass} gap-4`}>
-          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm text-gray-600">Projected TFR</p>
-                <p className="text-xl md:text-2xl font-bold text-green-600">
-                  {res.projectedTFR.toFixed(3)}
-                </p>
-              </div>
-              <TrendingUp className="text-green-500" size={isCompact ? 20 : 24} />
-            </div>
-            <p className="text-sm text-gray-500 mt-2">
-              +{(res.tfrIncrease * 100).toFixed(1)}% increase
-            </p>
-          </div>
-
-          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm text-gray-600">Total Cost</p>
-                <p className="text-xl md:text-2xl font-bold text-blue-600">
-                  ${res.totalCost.toFixed(1)}M
-                </p>
-              </div>
-              <DollarSign className="text-blue-500" size={isCompact ? 20 : 24} />
-            </div>
-            <p className="text-sm text-gray-500 mt-2">
-              Implementation cost
-            </p>
-          </div>
-
-          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm text-gray-600">Economic ROI</p>
-                <p className="text-xl md:text-2xl font-bold text-purple-600">
-                  {res.roi.toFixed(1)}x
-                </p>
-              </div>
-              <Users className="text-purple-500" size={isCompact ? 20 : 24} />
-            </div>
-            <p className="text-sm text-gray-500 mt-2">
-              Return on investment
-            </p>
-          </div>
-
-          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm text-gray-600">Time to Target</p>
-                <p className="text-xl md:text-2xl font-bold text-orange-600">
-                  {res.projectedTFR >= 2.1 ? '10' : '20+'}
-                </p>
-              </div>
-              <Clock className="text-orange-500" size={isCompact ? 20 : 24} />
-            </div>
-            <p className="text-sm text-gray-500 mt-2">
-              Years to 2.1 TFR
-            </p>
-          </div>
-        </div>
-
-        {/* TFR Projection Chart */}
-        <div className="bg-white rounded-lg shadow-lg p-6">
-          <h3 className="text-lg font-semibold mb-4">20-Year TFR Projection</h3>
-          <ResponsiveContainer width="100%" height={chartHeight}>
-            <LineChart data={res.projectionData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="year" />
-              <YAxis domain={[0, 2.5]} />
-              <Tooltip />
-              <Legend />
-              <Line 
-                type="monotone" 
-                dataKey="baseline" 
-                stroke="#ef4444" 
-                strokeDasharray="5 5"
-                name="Current Baseline"
-              />
-              <Line 
-                type="monotone" 
-                dataKey="projected" 
-                stroke="#3b82f6" 
-                strokeWidth={3}
-                name="With AI Interventions"
-              />
-              <Line 
-                type="monotone" 
-                dataKey="target" 
-                stroke="#10b981" 
-                strokeDasharray="10 5"
-                name="Replacement Level (2.1)"
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-
-        {/* Barrier Reduction Chart */}
-        <div className="bg-white rounded-lg shadow-lg p-6">
-          <h3 className="text-lg font-semibold mb-4">Barrier Reduction Impact</h3>
-          <ResponsiveContainer width="100%" height={chartHeight - 50}>
-            <BarChart data={[
-              {
-                name: 'Education Cost',
-                before: country.baseFactors.educationCost,
-                after: res.factorReductions.educationCost
-              },
-              {
-                name: 'Work-Life Balance',
-                before: 100 - country.baseFactors.workLifeBalance,
-                after: 100 - res.factorReductions.workLifeBalance
-              },
-              {
-                name: 'Childcare Cost',
-                before: country.baseFactors.childcareCost,
-                after: res.factorReductions.childcareCost
-              },
-              {
-                name: 'Housing Cost',
-                before: country.baseFactors.housingCost,
-                after: res.factorReductions.housingCost
-              }
-            ]}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="name" />
-              <YAxis />
-              <Tooltip />
-              <Legend />
-              <Bar dataKey="before" fill="#ef4444" name="Before AI" />
-              <Bar dataKey="after" fill="#10b981" name="After AI" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-
-        {/* New: TFR Impact Breakdown */}
-        {policyImpactData.length > 0 && (
-          <div className="bg-white rounded-lg shadow-lg p-6">
-            <h3 className="text-lg font-semibold mb-4">TFR Impact Breakdown by Policy</h3>
-            <ResponsiveContainer width="100%" height={chartHeight - 50}>
-              <PieChart>
-                <Pie
-                  data={policyImpactData}
-                  dataKey="value"
-                  nameKey="name"
-                  cx="50%"
-                  cy="50%"
-                  outerRadius={isCompact ? 60 : 80}
-                  fill="#8884d8"
-                  label
-                >
-                  {policyImpactData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                  ))}
-                </Pie>
-                <Tooltip />
-                <Legend />
-              </PieChart>
-            </ResponsiveContainer>
-          </div>
-        )}
-
-        {/* Economic Impact Summary (enhanced with policy cost breakdown) */}
-        <div className="bg-white rounded-lg shadow-lg p-6">
-          <h3 className="text-lg font-semibold mb-4">Economic Impact Summary</h3>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div>
-              <h4 className="font-medium mb-2">Population Benefits</h4>
-              <ul className="space-y-2 text-sm text-gray-600">
-                <li>• Estimated population increase: {res.populationIncrease.toLocaleString()} people over 20 years</li>
-                <li>• Economic benefit: ${res.economicBenefit.toFixed(1)}B over lifetime (incl. productivity gains)</li>
-                <li>• Reduced dependency ratio by 2045</li>
-                <li>• Increased workforce sustainability through AI offsets</li>
-              </ul>
-            </div>
-            <div>
-              <h4 className="font-medium mb-2">Implementation Benefits & Costs</h4>
-              <ul className="space-y-2 text-sm text-gray-600">
-                {Object.keys(res.policyCosts).map(policy => (
-                  policies[policy] > 0 && (
-                    <li key={policy}>• {aiInterventions[policy].name}: ${res.policyCosts[policy].toFixed(1)}M</li>
-                  )
-                ))}
-                <li>• Improved workplace gender equality</li>
-                <li>• Enhanced work-life balance</li>
-                <li>• Smart city infrastructure development</li>
-              </ul>
-            </div>
-          </div>
-        </div>
-      </>
-    );
-  };
-
-  return (
-    <>
-      <Head>
-        <title>AI-Driven Fertility Policy Simulator | East Asia Demographic Solutions</title>
-        <meta name="description" content="Interactive tool exploring how AI interventions can address declining fertility rates in East Asia. Research by Group 88 - STARS." />
-        <meta name="keywords" content="fertility policy, AI, East Asia, demographics, South Korea, Japan, total fertility rate" />
-        <meta name="viewport" content="width=device-width, initial-scale=1" />
-        <link rel="icon" href="/favicon.ico" />
-        
-        {/* Open Graph / Facebook */}
-        <meta property="og:type" content="website" />
-        <meta property="og:title" content="AI-Driven Fertility Policy Simulator" />
-        <meta property="og:description" content="Explore how AI can address demographic challenges in East Asia" />
-        
-        {/* Twitter */}
-        <meta name="twitter:card" content="summary_large_image" />
-        <meta name="twitter:title" content="AI-Driven Fertility Policy Simulator" />
-        <meta name="twitter:description" content="Interactive research tool for demographic policy innovation" />
-        
-        {/* Custom slider styles */}
-        <style jsx global>{`
-          .custom-slider {
-            -webkit-appearance: none;
-            appearance: none;
-            height: 8px;
-            background: #e5e7eb;
-            border-radius: 5px;
-            outline: none;
-            opacity: 0.7;
-            transition: opacity 0.2s;
-          }
-          .custom-slider:hover {
-            opacity: 1;
-          }
-          .custom-slider::-webkit-slider-thumb {
-            -webkit-appearance: none;
-            appearance: none;
-            width: 20px;
-            height: 20px;
-            background: #3b82f6;
-            cursor: pointer;
-            border-radius: 50%;
-            border: 2px solid white;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-          }
-          .custom-slider::-moz-range-thumb {
-            width: 20px;
-            height: 20px;
-            background: #3b82f6;
-            cursor: pointer;
-            border-radius: 50%;
-            border: 2px solid white;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-          }
-          .custom-slider::-webkit-slider-thumb:hover {
-            background: #2563eb;
-            transform: scale(1.1);
-          }
-          .custom-slider::-moz-range-thumb:hover {
-            background: #2563eb;
-            transform: scale(1.1);
-          }
-        `}</style>
-      </Head>
-      
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
-        <div className="max-w-7xl mx-auto">
-          {/* Header */}
-          <div className="text-center mb-8">
-            <h1 className="text-4xl font-bold text-gray-800 mb-4">
-              AI-Driven Fertility Policy Simulator
-            </h1>
-            <p className="text-lg text-gray-600 max-w-3xl mx-auto">
-              Explore how AI-powered interventions can address demographic challenges in East Asia. 
-              Adjust policy parameters and see projected impacts on Total Fertility Rate (TFR). Now with country comparison, preset scenarios, extended projections, and policy impact breakdowns.
-            </p>
-            <div className="mt-4 text-sm text-gray-500">
-              Research by Group 88 - STARS | Innovation and Entrepreneurship for the 21st Century
-            </div>
-          </div>
-
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            {/* Control Panel */}
-            <div className="lg:col-span-1">
-              <div className="bg-white rounded-lg shadow-lg p-6">
-                <h2 className="text-xl font-semibold mb-4">Policy Controls</h2>
-                
-                {/* Country Selection */}
-                <div className="mb-6">
-                  <label className="block text-sm font-medium mb-2">Select Country</label>
-                  <select
-                    value={selectedCountry}
-                    onChange={(e) => setSelectedCountry(e.target.value)}
-                    disabled={compareMode}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50"
-                  >
-                    <option value="south_korea">South Korea (TFR: 0.72)</option>
-                    <option value="japan">Japan (TFR: 1.20)</option>
-                  </select>
-                  {compareMode && <p className="text-xs text-gray-500 mt-1">Policies applied to both countries for comparison</p>}
-                </div>
-
-                {/* Compare Mode */}
-                <div className="mb-6 flex items-center">
-                  <input
-                    type="checkbox"
-                    id="compare-mode"
-                    checked={compareMode}
-                    onChange={(e) => setCompareMode(e.target.checked)}
-                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-                  />
-                  <label htmlFor="compare-mode" className="ml-2 text-sm font-medium text-gray-700">
-                    Compare both countries
-                  </label>
-                </div>
-
-                {/* Policy Sliders */}
-                {Object.keys(aiInterventions).map((policy) => (
-                  <div key={policy} className="mb-6">
-                    <div className="flex justify-between items-center mb-2">
-                      <label className="text-sm font-medium">
-                        {aiInterventions[policy].name}
-                      </label>
-                      <span className="text-sm text-gray-500 bg-blue-100 px-2 py-1 rounded">
-                        {policies[policy]}%
-                      </span>
-                    </div>
-                    <div className="relative">
-                      <input
-                        type="range"
-                        min="0"
-                        max="100"
-                        step="5" // Added for more precise control
-                        value={policies[policy]}
-                        onChange={(e) => setPolicies({
-                          ...policies,
-                          [policy]: parseInt(e.target.value)
-                        })}
-                        className="custom-slider w-full cursor-pointer"
-                        style={{
-                          background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${policies[policy]}%, #e5e7eb ${policies[policy]}%, #e5e7eb 100%)`
-                        }}
-                      />
-                    </div>
-                    <p className="text-xs text-gray-600 mt-2">
-                      {aiInterventions[policy].description}
-                    </p>
-                    <p className="text-xs text-blue-600 mt-1 font-medium">
-                      Cost: ${(aiInterventions[policy].costPerPoint * policies[policy] / 1000000).toFixed(1)}M
-                    </p>
-                  </div>
-                ))}
-
-                {/* Preset Scenarios */}
-                <div className="mb-6">
-                  <label className="block text-sm font-medium mb-2">Preset Scenarios</label>
-                  <div className="grid grid-cols-3 gap-2">
-                    <button
-                      onClick={() => setPolicies({ aiEducation: 20, workplaceAI: 20, childcareAI: 20, housingAI: 20 })}
-                      className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition"
-                    >
-                      Low Investment
-                    </button>
-                    <button
-                      onClick={() => setPolicies({ aiEducation: 50, workplaceAI: 50, childcareAI: 50, housingAI: 50 })}
-                      className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition"
-                    >
-                      Balanced
-                    </button>
-                    <button
-                      onClick={() => setPolicies({ aiEducation: 100, workplaceAI: 100, childcareAI: 100, housingAI: 100 })}
-                      className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition"
-                    >
-                      Aggressive
-                    </button>
-                  </div>
-                </div>
-
-                {/* Action Buttons */}
-                <div className="space-y-3">
-                  <button
-                    onClick={runSimulation}
-                    disabled={isSimulating}
-                    className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors"
-                  >
-                    {isSimulating ? (
-                      <>
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                        Simulating...
-                      </>
-                    ) : (
-                      <>
-                        <Play size={18} />
-                        Run Simulation
-                      </>
-                    )}
-                  </button>
-                  <button
-                    onClick={resetSimulation}
-                    className="w-full bg-gray-500 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-600 flex items-center justify-center gap-2 transition-colors"
-                  >
-                    <RotateCcw size={18} />
-                    Reset
-                  </button>
-                </div>
-              </div>
-
-              {/* Country Overview */}
-              <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
-                <h3 className="text-lg font-semibold mb-4">
-                  {compareMode ? 'Countries Overview' : `${countryData[selectedCountry].name} Overview`}
-                </h3>
-                {compareMode ? (
-                  <div className="grid grid-cols-2 gap-4">
-                    {Object.keys(countryData).map(key => (
-                      <div key={key} className="space-y-3">
-                        <h4 className="text-md font-medium">{countryData[key].name}</h4>
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">Current TFR:</span>
-                          <span className="font-medium">{countryData[key].baseTFR}</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">Population:</span>
-                          <span className="font-medium">{countryData[key].demographics.population}M</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">GDP per Capita:</span>
-                          <span className="font-medium">${countryData[key].demographics.gdpPerCapita.toLocaleString()}</span>
-                        </div>
-                        <div className="flex justify-between text-sm">
-                          <span className="text-gray-600">Female Labor Force:</span>
-                          <span className="font-medium">{countryData[key].demographics.femaleParticipation}%</span>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                ) : (
-                  <div className="space-y-3">
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Current TFR:</span>
-                      <span className="font-medium">{countryData[selectedCountry].baseTFR}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Population:</span>
-                      <span className="font-medium">{countryData[selectedCountry].demographics.population}M</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">GDP per Capita:</span>
-                      <span className="font-medium">${countryData[selectedCountry].demographics.gdpPerCapita.toLocaleString()}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Female Labor Force:</span>
-                      <span className="font-medium">{countryData[selectedCountry].demographics.femaleParticipation}%</span>
-                    </div>
-                  </div>
-                )}
-              </div>
-            </div>
-
-            {/* Results Panel */}
-            <div className="lg:col-span-2 space-y-6">
-              {Object.keys(results).length === 0 ? (
-                <div className="bg-white rounded-lg shadow-lg p-12 text-center">
-                  <div className="text-gray-400 mb-4">
-                    <TrendingUp size={64} className="mx-auto" />
-                  </div>
-                  <h3 className="text-xl font-semibold text-gray-600 mb-2">
-                    Run Simulation to See Results
-                  </h3>
-                  <p className="text-gray-500">
-                    Adjust the policy parameters and click "Run Simulation" to see the projected impact on fertility rates and economic outcomes.
-                  </p>
-                </div>
-              ) : Object.keys(results).length === 1 ? (
-                <ResultsDisplay
-                  res={results[Object.keys(results)[0]]}
-                  country={countryData[Object.keys(results)[0]]}
-                />
-              ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  {Object.keys(results).map(key => (
-                    <div key={key} className="space-y-6">
-                      <h2 className="text-xl font-semibold text-center text-gray-800">
-                        {countryData[key].name} Results
-                      </h2>
-                      <ResultsDisplay
-                        res={results[key]}
-                        country={countryData[key]}
-                        isCompact={true}
-                      />
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          </div>
-
-          {/* Footer */}
-          <div className="text-center mt-8 p-6 bg-white rounded-lg shadow-lg">
-            <p className="text-sm text-gray-600 mb-2">
-              <strong>About this Research:</strong> This interactive simulator demonstrates our AI-driven policy framework 
-              for addressing demographic challenges in East Asia. Based on quantitative analysis of socio-economic barriers 
-              and predictive modeling using OECD data.
-            </p>
-            <p className="text-sm text-gray-600">
-              <strong>Disclaimer:</strong> This is a research prototype for demonstration purposes. 
-              Actual policy impacts may vary based on numerous factors not captured in this simplified model.
-            </p>
-            <div className="mt-4 pt-4 border-t border-gray-200">
-              <p className="text-sm text-gray-500">
-                <strong>Research Team:</strong> Tran Thu Hang (Hannah), Dedy E Lingga, 楊哲航 (Lucas), 
-                Phan Viet Anh (Frank), Vu Huong Linh (Lylla)
-              </p>
-              <p className="text-xs text-gray-400 mt-2">
-                Group 88 - STARS | Innovation and Entrepreneurship for the 21st Century AI-Driven Digital Economy
-              </p>
-            </div>
-          </div>
-        </div>
-      </div>
-    </>
-  );
-};
-
+import React, { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
+import { Play, RotateCcw, TrendingUp, Users, DollarSign, Clock, Link2, FileText } from 'lucide-react';
+import Head from 'next/head';
+import { countryData, defaultInterventions, FERTILITY_MODELS, PROJECTION_YEARS, REPLACEMENT_TFR, simulateTFRImpactForCountry } from '../lib/simulator';
+import PopulationCharts from '../components/PopulationCharts';
+import LabourCharts from '../components/LabourCharts';
+import ParticipationCard from '../components/ParticipationCard';
+import BudgetOptimizer from '../components/BudgetOptimizer';
+import TargetSolver from '../components/TargetSolver';
+import ProfileImport from '../components/ProfileImport';
+import ScenarioLibrary from '../components/ScenarioLibrary';
+import ExportButtons from '../components/ExportButtons';
+import RolloutSchedule from '../components/RolloutSchedule';
+import CostBenefitCard from '../components/CostBenefitCard';
+import FiscalCard from '../components/FiscalCard';
+import CostEffectivenessCard from '../components/CostEffectivenessCard';
+import SensitivityAnalysis from '../components/SensitivityAnalysis';
+import InterventionEditor from '../components/InterventionEditor';
+import BaselineControl from '../components/BaselineControl';
+import BacktestPanel from '../components/BacktestPanel';
+import CalibrationPanel from '../components/CalibrationPanel';
+import { DEFAULT_STATE, encodeState, decodeState, searchFromPath } from '../lib/permalink';
+import { generatePolicyBrief } from '../lib/policyBrief';
+import { createMoney, currencyName, DISPLAY_CURRENCIES, PRICE_BASES } from '../lib/currency';
+import { BASELINE_MODES } from '../lib/baseline';
+import { observedSeries } from '../lib/backtest';
+import { motherhoodProfile } from '../lib/motherhood';
+import { loadParameterSets, saveParameterSets } from '../lib/calibration';
+import { activeInterventions, interventionCategory, BARRIER_FACTORS, INTERVENTION_CATEGORIES, loadCatalogue, saveCatalogue, clearCatalogue } from '../lib/interventions';
+
+const COLORS = ['#3b82f6', '#10b981', '#ef4444', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#84cc16'];
+
+// Keeps only the entries of `values` that belong to `catalogue`
+const pickKeys = (values, catalogue) => Object.fromEntries(Object.entries(values).filter(([key]) => catalogue[key]));
+
+// The active parameter set with the chosen fertility model on top
+const runParameters = (state) => ({
+  ...(state.parameterSet ? state.parameterSet.parameters : {}),
+  fertilityModel: state.fertilityModel
+});
+
+const FertilityPolicySimulator = () => {
+  const router = useRouter();
+  const [selectedCountry, setSelectedCountry] = useState(DEFAULT_STATE.country);
+  const [compareMode, setCompareMode] = useState(DEFAULT_STATE.compareMode);
+  const [compareCountries, setCompareCountries] = useState(DEFAULT_STATE.compareCountries);
+  const [customCountries, setCustomCountries] = useState({});
+  const [policies, setPolicies] = useState({ ...DEFAULT_STATE.policies });
+  const [schedule, setSchedule] = useState({});
+  const [discountRate, setDiscountRate] = useState(DEFAULT_STATE.discountRate);
+  const [baseline, setBaseline] = useState(DEFAULT_STATE.baseline);
+  const [fertilityModel, setFertilityModel] = useState(DEFAULT_STATE.fertilityModel);
+  const [currency, setCurrency] = useState(DEFAULT_STATE.currency);
+  const [priceBasis, setPriceBasis] = useState(DEFAULT_STATE.priceBasis);
+  const [interventions, setInterventions] = useState(defaultInterventions);
+  const [catalogueLoaded, setCatalogueLoaded] = useState(false);
+  // Read errors for stored data; whatever could not be read is not overwritten this session
+  const [storageErrors, setStorageErrors] = useState({});
+  const [parameterSets, setParameterSets] = useState([]);
+  const [parameterSetName, setParameterSetName] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [isGeneratingReport, setIsGeneratingReport] = useState(false);
+  const resultsRef = useRef(null);
+  const [results, setResults] = useState({});
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState(null);
+
+  // Bundled profiles plus any imported this session
+  const allCountries = { ...countryData, ...customCountries };
+
+  // Interventions the sliders and simulations use
+  const activeCatalogue = activeInterventions(interventions);
+
+  // Money formatting for the control panel (selected country)
+  const panelMoney = createMoney({ currency, priceBasis, countryKey: selectedCountry });
+
+  // An edited catalogue is saved with scenarios; the bundled one is left implicit
+  const currentState = {
+    country: selectedCountry,
+    compareMode,
+    compareCountries,
+    policies,
+    schedule,
+    discountRate,
+    baseline,
+    fertilityModel,
+    currency,
+    priceBasis,
+    interventions: interventions === defaultInterventions ? undefined : interventions,
+    parameterSet: parameterSets.find(set => set.name === parameterSetName)
+  };
+  const stateQuery = encodeState(currentState);
+
+  // localStorage is only available in the browser, so the catalogue and parameter sets are read after mount
+  useEffect(() => {
+    const stored = loadCatalogue(defaultInterventions);
+    const storedSets = loadParameterSets(stored.catalogue);
+    setInterventions(stored.catalogue);
+    setParameterSets(storedSets.sets);
+    setStorageErrors({ catalogue: stored.error, parameterSets: storedSets.error });
+    setCatalogueLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (!catalogueLoaded || storageErrors.catalogue) return;
+    if (interventions === defaultInterventions) {
+      clearCatalogue();
+    } else {
+      saveCatalogue(interventions);
+    }
+  }, [interventions, catalogueLoaded, storageErrors]);
+
+  useEffect(() => {
+    if (catalogueLoaded && !storageErrors.parameterSets) saveParameterSets(parameterSets);
+  }, [parameterSets, catalogueLoaded, storageErrors]);
+
+  // Engine errors (e.g. from an invalid catalogue or forecast) clear the spinner and are shown above the results
+  const runSimulation = (state = currentState) => {
+    setIsSimulating(true);
+    setSimulationError(null);
+    setTimeout(() => {
+      try {
+        const countriesToSimulate = state.compareMode ? state.compareCountries : [state.country];
+        const newResults = {};
+        countriesToSimulate.forEach(key => {
+          const res = simulateTFRImpactForCountry(allCountries[key], state.policies, {
+            schedule: state.schedule,
+            discountRate: state.discountRate,
+            baseline: state.baseline,
+            parameters: runParameters(state),
+            interventions: state.interventions
+          });
+          // Settings are kept for the interventions that took part in the run
+          newResults[key] = {
+            ...res,
+            policies: Object.fromEntries(Object.keys(res.interventions).map(policy => [policy, state.policies[policy] || 0])),
+            schedule: pickKeys(state.schedule, res.interventions),
+            parameterSet: state.parameterSet ? state.parameterSet.name : null
+          };
+        });
+        setResults(newResults);
+      } catch (err) {
+        setSimulationError(err.message);
+      } finally {
+        setIsSimulating(false);
+      }
+    }, 2000);
+  };
+
+  // URL -> state: restore shared links on first load and on browser back/forward
+  const urlSearch = router.isReady ? searchFromPath(router.asPath) : null;
+
+  // The URL effects run only when the URL or the settings change; everything else they read is the latest
+  // render's, through this ref
+  const latest = useRef(null);
+  latest.current = { allCountries, interventions, currentState, stateQuery, urlSearch, runSimulation, router };
+
+  useEffect(() => {
+    const { allCountries, interventions, currentState, stateQuery, runSimulation } = latest.current;
+    if (urlSearch === null) return;
+    const state = {
+      ...decodeState(urlSearch, allCountries, interventions),
+      interventions: currentState.interventions,
+      parameterSet: currentState.parameterSet
+    };
+    if (encodeState(state) === stateQuery) return;
+    setSelectedCountry(state.country);
+    setCompareMode(state.compareMode);
+    setCompareCountries(state.compareCountries);
+    setPolicies(state.policies);
+    setSchedule(state.schedule);
+    setDiscountRate(state.discountRate);
+    setBaseline(state.baseline);
+    setFertilityModel(state.fertilityModel);
+    setCurrency(state.currency);
+    setPriceBasis(state.priceBasis);
+    if (urlSearch) {
+      runSimulation(state);
+    } else {
+      setResults({});
+    }
+  }, [urlSearch]);
+
+  // state -> URL: each settled change becomes a history entry (debounced so slider drags add one)
+  useEffect(() => {
+    const { allCountries, interventions, urlSearch, router } = latest.current;
+    if (urlSearch === null || encodeState(decodeState(urlSearch, allCountries, interventions)) === stateQuery) return;
+    const timer = setTimeout(() => {
+      router.push(`${router.pathname}?${stateQuery}`, undefined, { shallow: true, scroll: false });
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [stateQuery]);
+
+  const copyShareLink = () => {
+    const url = `${window.location.origin}${router.pathname}?${stateQuery}`;
+    navigator.clipboard.writeText(url).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    });
+  };
+
+  const generateReport = () => {
+    setIsGeneratingReport(true);
+    generatePolicyBrief({
+      runs: Object.keys(results).map(key => ({
+        countryKey: key,
+        country: allCountries[key],
+        res: results[key],
+        money: createMoney({ currency, priceBasis, countryKey: key, codes: true })
+      })),
+      container: resultsRef.current
+    })
+      .catch(err => window.alert(`Could not generate the report: ${err.message}`))
+      .finally(() => setIsGeneratingReport(false));
+  };
+
+  // Restores a saved scenario, bringing back any custom profiles and intervention catalogue it was saved with
+  const loadScenario = (scenario) => {
+    const restored = { ...allCountries, ...scenario.customProfiles };
+    setInterventions(scenario.interventions || defaultInterventions);
+    if (scenario.parameterSet) {
+      setParameterSets([...parameterSets.filter(set => set.name !== scenario.parameterSet.name), scenario.parameterSet]);
+    }
+    setParameterSetName(scenario.parameterSet ? scenario.parameterSet.name : '');
+    setCustomCountries({ ...customCountries, ...scenario.customProfiles });
+    setSelectedCountry(restored[scenario.country] ? scenario.country : 'south_korea');
+    setCompareMode(scenario.compareMode);
+    setCompareCountries(scenario.compareCountries.filter(key => restored[key]));
+    setPolicies({ ...scenario.policies });
+    setSchedule(scenario.schedule || {});
+    setDiscountRate(scenario.discountRate === undefined ? DEFAULT_STATE.discountRate : scenario.discountRate);
+    setBaseline(scenario.baseline || DEFAULT_STATE.baseline);
+    setFertilityModel(scenario.fertilityModel || DEFAULT_STATE.fertilityModel);
+    setResults({});
+  };
+
+  // Optimizer and solver results are constant mixes, so applying one clears any rollout schedule
+  const applyPolicies = (mix) => {
+    setPolicies({ ...pickKeys(policies, interventions), ...mix });
+    setSchedule({});
+  };
+
+  // Presets are AI-only packages: every active AI intervention at the same intensity, conventional levers off
+  const applyPreset = (intensity) => applyPolicies(Object.fromEntries(Object.keys(activeCatalogue).map(policy => [
+    policy,
+    interventionCategory(activeCatalogue[policy]) === 'ai' ? intensity : 0
+  ])));
+
+  // Settings for interventions that no longer exist are dropped; shown results are rerun on the new catalogue
+  const updateInterventions = (catalogue) => {
+    const nextPolicies = pickKeys(policies, catalogue);
+    const nextSchedule = pickKeys(schedule, catalogue);
+    setInterventions(catalogue);
+    setPolicies(nextPolicies);
+    setSchedule(nextSchedule);
+    if (Object.keys(results).length > 0) {
+      runSimulation({ ...currentState, policies: nextPolicies, schedule: nextSchedule, interventions: catalogue });
+    }
+  };
+
+  // Saving a fit makes it the active set; shown results are rerun with the chosen parameters. Fits are of the
+  // reduced-form model (sets saved before they recorded it included), so applying one switches to that model.
+  const selectParameterSet = (name, sets = parameterSets) => {
+    const parameterSet = sets.find(set => set.name === name);
+    const model = parameterSet ? parameterSet.parameters.fertilityModel || 'reduced' : fertilityModel;
+    setParameterSetName(name);
+    setFertilityModel(model);
+    if (Object.keys(results).length > 0) {
+      runSimulation({ ...currentState, parameterSet, fertilityModel: model });
+    }
+  };
+
+  const saveParameterSet = (parameterSet) => {
+    const sets = [...parameterSets.filter(set => set.name !== parameterSet.name), parameterSet];
+    setParameterSets(sets);
+    selectParameterSet(parameterSet.name, sets);
+  };
+
+  const deleteParameterSet = (name) => {
+    setParameterSets(parameterSets.filter(set => set.name !== name));
+    selectParameterSet('');
+  };
+
+  const updateSchedule = (policy, steps) => {
+    const rest = Object.fromEntries(Object.entries(schedule).filter(([key]) => key !== policy));
+    setSchedule(steps ? { ...rest, [policy]: steps } : rest);
+  };
+
+  const resetSimulation = () => {
+    setPolicies(Object.fromEntries(Object.keys(interventions).map(policy => [policy, 0])));
+    setSchedule({});
+    setDiscountRate(DEFAULT_STATE.discountRate);
+    setBaseline(DEFAULT_STATE.baseline);
+    setFertilityModel(DEFAULT_STATE.fertilityModel);
+    setResults({});
+  };
+
+  const ResultsDisplay = ({ res, countryKey, country, isCompact = false }) => {
+    const exportContext = { countryKey, country, policies: res.policies, schedule: res.schedule, res };
+    const money = createMoney({ currency, priceBasis, countryKey });
+    const finalYear = res.costData[res.costData.length - 1].year;
+    const metricGridClass = isCompact ? 'grid-cols-2' : 'grid-cols-1 md:grid-cols-4';
+    const chartHeight = isCompact ? 250 : 300;
+
+    const policyColor = (policy) => COLORS[Object.keys(res.interventions).indexOf(policy) % COLORS.length];
+    const policyImpactData = Object.keys(res.policyImpacts).map(policy => ({
+      name: res.interventions[policy].name,
+      color: policyColor(policy),
+      value: res.policyImpacts[policy]
+    })).filter(item => item.value > 0);
+
+    const targetPoint = res.projectionData.find(point => point.projected >= REPLACEMENT_TFR);
+    const observed = observedSeries(country);
+
+    return (
+      <>
+        {/* Whole-run export */}
+        <div className="bg-white rounded-lg shadow-lg px-4 py-3 flex justify-end">
+          <ExportButtons exportContext={exportContext} label="Export all results" />
+        </div>
+
+        {/* Key Metrics */}
+        <div className={`grid ${metricGridClass} gap-4`}>
+          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">Projected TFR</p>
+                <p className="text-xl md:text-2xl font-bold text-green-600">
+                  {res.projectedTFR.toFixed(3)}
+                </p>
+              </div>
+              <TrendingUp className="text-green-500" size={isCompact ? 20 : 24} />
+            </div>
+            <p className="text-sm text-gray-500 mt-2">
+              {res.tfrIncrease >= 0 ? '+' : ''}{res.tfrIncrease.toFixed(2)} TFR vs baseline ({res.baselineTFR.toFixed(2)})
+            </p>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">Total Cost</p>
+                <p className="text-xl md:text-2xl font-bold text-blue-600">
+                  {money.formatSeries(res.costData, 'total')}
+                </p>
+              </div>
+              <DollarSign className="text-blue-500" size={isCompact ? 20 : 24} />
+            </div>
+            <p className="text-sm text-gray-500 mt-2">
+              Undiscounted, {res.costData[0].year}–{finalYear} ({money.label})
+            </p>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">Benefit-Cost Ratio</p>
+                <p className="text-xl md:text-2xl font-bold text-purple-600">
+                  {Number.isFinite(res.roi) ? `${res.roi.toFixed(1)}x` : 'n/a'}
+                </p>
+              </div>
+              <Users className="text-purple-500" size={isCompact ? 20 : 24} />
+            </div>
+            <p className="text-sm text-gray-500 mt-2">
+              NPV {money.format(res.costBenefit.npv)} at {res.costBenefit.discountRate}%; net fiscal return, negative
+              while spending on extra children outweighs the tax they bring
+            </p>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-lg p-4 md:p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">Time to Target</p>
+                <p className="text-xl md:text-2xl font-bold text-orange-600">
+                  {targetPoint ? targetPoint.year - res.projectionData[0].year : `${PROJECTION_YEARS}+`}
+                </p>
+              </div>
+              <Clock className="text-orange-500" size={isCompact ? 20 : 24} />
+            </div>
+            <p className="text-sm text-gray-500 mt-2">
+              Years to 2.1 TFR
+            </p>
+          </div>
+        </div>
+
+        {/* TFR Projection Chart (fan chart of Monte Carlo bands, with each intervention's contribution stacked on the baseline) */}
+        <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="projection">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+            <h3 className="text-lg font-semibold">20-Year TFR Projection</h3>
+            <ExportButtons exportContext={exportContext} tables={['projection', 'history']} />
+          </div>
+          <p className="text-xs text-gray-500 mb-4">
+            Shaded bands show 50/80/95% intervals from {res.uncertainty.draws} Monte Carlo draws of intervention impact.
+            {' '}{res.projectionData[res.projectionData.length - 1].year} 95% interval: {res.uncertainty.projectedTFR.band95[0].toFixed(2)} to {res.uncertainty.projectedTFR.band95[1].toFixed(2)}.
+            {' '}Coloured layers show each intervention&apos;s contribution above the baseline.
+            {observed.length > 0 && ` The black line is observed TFR from ${observed[0].year} to ${observed[observed.length - 1].year}.`}
+          </p>
+          <ResponsiveContainer width="100%" height={chartHeight}>
+            <ComposedChart data={[
+              ...observed.map(point => ({ year: point.year, observed: point.tfr })),
+              ...res.projectionData.map((point, index) => ({ ...point, ...res.uncertainty.bands[index] }))
+            ]}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" />
+              <YAxis domain={[0, 2.5]} />
+              <Tooltip formatter={(value) => (Array.isArray(value) ? value.join(' – ') : value)} />
+              <Legend />
+              <Area type="monotone" dataKey="band95" stroke="none" fill="#3b82f6" fillOpacity={0.12} name="95% interval" />
+              <Area type="monotone" dataKey="band80" stroke="none" fill="#3b82f6" fillOpacity={0.2} name="80% interval" />
+              <Area type="monotone" dataKey="band50" stroke="none" fill="#3b82f6" fillOpacity={0.3} name="50% interval" />
+              <Area type="monotone" dataKey="baseline" stackId="contributions" stroke="none" fill="none" legendType="none" tooltipType="none" />
+              {Object.keys(res.policyImpacts).filter(policy => res.policyImpacts[policy] > 0).map(policy => (
+                <Area
+                  key={policy}
+                  type="monotone"
+                  dataKey={`contributions.${policy}`}
+                  stackId="contributions"
+                  stroke="none"
+                  fill={policyColor(policy)}
+                  fillOpacity={0.6}
+                  name={res.interventions[policy].name}
+                />
+              ))}
+              <Line 
+                type="monotone" 
+                dataKey="baseline" 
+                stroke="#ef4444" 
+                strokeDasharray="5 5"
+                name={`Baseline (${BASELINE_MODES[res.baseline.mode]})`}
+              />
+              <Line 
+                type="monotone" 
+                dataKey="projected" 
+                stroke="#3b82f6" 
+                strokeWidth={3}
+                name="With Interventions"
+              />
+              <Line type="monotone" dataKey="observed" stroke="#111827" strokeWidth={2} dot={false} name="Observed" />
+              <Line 
+                type="monotone" 
+                dataKey="target" 
+                stroke="#10b981" 
+                strokeDasharray="10 5"
+                name="Replacement Level (2.1)"
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Annual Cost Chart (capital on scale-up plus operating costs) */}
+        {res.totalCost > 0 && (
+          <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="costs">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h3 className="text-lg font-semibold">Annual Cost by Intervention ({money.label})</h3>
+              <ExportButtons exportContext={exportContext} tables={['costs']} />
+            </div>
+            <ResponsiveContainer width="100%" height={chartHeight - 50}>
+              <BarChart data={res.costData.map(point => ({
+                ...point,
+                ...Object.fromEntries(Object.keys(res.policyCosts).map(policy => [policy, money.toUnits(point[policy], point.year)]))
+              }))}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="year" />
+                <YAxis tickFormatter={money.formatUnits} width={80} />
+                <Tooltip formatter={money.formatUnits} />
+                <Legend />
+                {Object.keys(res.policyCosts).map(policy => (
+                  <Bar key={policy} dataKey={policy} stackId="cost" fill={policyColor(policy)} name={res.interventions[policy].name} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {res.totalCost > 0 && (
+          <FiscalCard res={res} chartHeight={chartHeight} exportContext={exportContext} money={money} />
+        )}
+
+        {res.totalCost > 0 && (
+          <CostBenefitCard res={res} chartHeight={chartHeight} exportContext={exportContext} money={money} />
+        )}
+
+        {res.totalCost > 0 && (
+          <CostEffectivenessCard res={res} exportContext={exportContext} money={money} />
+        )}
+
+        {/* Barrier Reduction Chart */}
+        <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="barriers">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+            <h3 className="text-lg font-semibold">Barrier Reduction Impact</h3>
+            <ExportButtons exportContext={exportContext} tables={['barriers']} />
+          </div>
+          {res.parameters.fertilityModel === 'structural' && (
+            <p className="text-xs text-gray-500 mb-4">
+              These barrier changes drive the TFR projection through {country.name}&apos;s elasticities
+              ({Object.keys(BARRIER_FACTORS).map(factor => `${BARRIER_FACTORS[factor]} ${res.elasticities[factor]}`).join(', ')}).
+            </p>
+          )}
+          <ResponsiveContainer width="100%" height={chartHeight - 50}>
+            <BarChart data={[
+              {
+                name: 'Education Cost',
+                before: country.baseFactors.educationCost,
+                after: res.factorReductions.educationCost
+              },
+              {
+                name: 'Work-Life Balance',
+                before: 100 - country.baseFactors.workLifeBalance,
+                after: 100 - res.factorReductions.workLifeBalance
+              },
+              {
+                name: 'Childcare Cost',
+                before: country.baseFactors.childcareCost,
+                after: res.factorReductions.childcareCost
+              },
+              {
+                name: 'Housing Cost',
+                before: country.baseFactors.housingCost,
+                after: res.factorReductions.housingCost
+              }
+            ]}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="before" fill="#ef4444" name="Before AI" />
+              <Bar dataKey="after" fill="#10b981" name="After AI" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <PopulationCharts res={res} chartHeight={chartHeight} exportContext={exportContext} />
+
+        <LabourCharts res={res} chartHeight={chartHeight} exportContext={exportContext} />
+
+        <ParticipationCard res={res} chartHeight={chartHeight} exportContext={exportContext} money={money} />
+
+        {/* New: TFR Impact Breakdown */}
+        {policyImpactData.length > 0 && (
+          <div className="bg-white rounded-lg shadow-lg p-6" data-report-chart="policies">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h3 className="text-lg font-semibold">TFR Impact Breakdown by Policy</h3>
+              <ExportButtons exportContext={exportContext} tables={['policies']} />
+            </div>
+            <ResponsiveContainer width="100%" height={chartHeight - 50}>
+              <PieChart>
+                <Pie
+                  data={policyImpactData}
+                  dataKey="value"
+                  nameKey="name"
+                  cx="50%"
+                  cy="50%"
+                  outerRadius={isCompact ? 60 : 80}
+                  fill="#8884d8"
+                  label
+                >
+                  {policyImpactData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  ))}
+                </Pie>
+                <Tooltip />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {/* Economic Impact Summary (enhanced with policy cost breakdown) */}
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+            <h3 className="text-lg font-semibold">Economic Impact Summary</h3>
+            <ExportButtons exportContext={exportContext} tables={['summary', 'policies']} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h4 className="font-medium mb-2">Population Benefits</h4>
+              <ul className="space-y-2 text-sm text-gray-600">
+                <li>• Estimated population increase: {res.populationIncrease.toLocaleString()} people by {res.populationData[res.populationData.length - 1].year} (cohort-component projection)</li>
+                <li>• Economic benefit: {money.format(res.economicBenefit * 1000, finalYear)} over lifetime (incl. productivity gains, {money.label})</li>
+                {res.labourMilestones.map(milestone => (
+                  <li key={milestone.year}>
+                    • {milestone.year}: old-age dependency ratio {milestone.oldAgeDependency.projected.toFixed(1)}
+                    {' '}({milestone.oldAgeDependency.change >= 0 ? '+' : ''}{milestone.oldAgeDependency.change.toFixed(1)} vs baseline),
+                    labour force {milestone.labourForce.change >= 0 ? '+' : ''}{(milestone.labourForce.change * 1000).toFixed(0)}k
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <h4 className="font-medium mb-2">Implementation Benefits & Costs</h4>
+              <ul className="space-y-2 text-sm text-gray-600">
+                {Object.keys(res.policyCosts).map(policy => (
+                  res.policyCosts[policy] > 0 && (
+                    <li key={policy}>• {res.interventions[policy].name}: {money.formatSeries(res.costData, policy)}</li>
+                  )
+                ))}
+                <li>
+                  • Mothers retained in work: {res.motherhood.baseline.retention.toFixed(0)}% to {res.motherhood.projected.retention.toFixed(0)}%,
+                  wage penalty {res.motherhood.baseline.wagePenalty.toFixed(0)}% to {res.motherhood.projected.wagePenalty.toFixed(0)}%
+                </li>
+                <li>• Enhanced work-life balance</li>
+                <li>• Smart city infrastructure development</li>
+              </ul>
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <>
+      <Head>
+        <title>AI-Driven Fertility Policy Simulator | East Asia Demographic Solutions</title>
+        <meta name="description" content="Interactive tool exploring how AI interventions can address declining fertility rates in East Asia. Research by Group 88 - STARS." />
+        <meta name="keywords" content="fertility policy, AI, East Asia, demographics, South Korea, Japan, total fertility rate" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/favicon.ico" />
+        
+        {/* Open Graph / Facebook */}
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content="AI-Driven Fertility Policy Simulator" />
+        <meta property="og:description" content="Explore how AI can address demographic challenges in East Asia" />
+        
+        {/* Twitter */}
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content="AI-Driven Fertility Policy Simulator" />
+        <meta name="twitter:description" content="Interactive research tool for demographic policy innovation" />
+        
+        {/* Custom slider styles */}
+        <style jsx global>{`
+          .custom-slider {
+            -webkit-appearance: none;
+            appearance: none;
+            height: 8px;
+            background: #e5e7eb;
+            border-radius: 5px;
+            outline: none;
+            opacity: 0.7;
+            transition: opacity 0.2s;
+          }
+          .custom-slider:hover {
+            opacity: 1;
+          }
+          .custom-slider::-webkit-slider-thumb {
+            -webkit-appearance: none;
+            appearance: none;
+            width: 20px;
+            height: 20px;
+            background: #3b82f6;
+            cursor: pointer;
+            border-radius: 50%;
+            border: 2px solid white;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          }
+          .custom-slider::-moz-range-thumb {
+            width: 20px;
+            height: 20px;
+            background: #3b82f6;
+            cursor: pointer;
+            border-radius: 50%;
+            border: 2px solid white;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+          }
+          .custom-slider::-webkit-slider-thumb:hover {
+            background: #2563eb;
+            transform: scale(1.1);
+          }
+          .custom-slider::-moz-range-thumb:hover {
+            background: #2563eb;
+            transform: scale(1.1);
+          }
+        `}</style>
+      </Head>
+      
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+        <div className="max-w-7xl mx-auto">
+          {/* Header */}
+          <div className="text-center mb-8">
+            <h1 className="text-4xl font-bold text-gray-800 mb-4">
+              AI-Driven Fertility Policy Simulator
+            </h1>
+            <p className="text-lg text-gray-600 max-w-3xl mx-auto">
+              Explore how AI-powered interventions can address demographic challenges in East Asia. 
+              Adjust policy parameters and see projected impacts on Total Fertility Rate (TFR). Now with country comparison, preset scenarios, extended projections, and policy impact breakdowns.
+            </p>
+            <div className="mt-4 text-sm text-gray-500">
+              Research by Group 88 - STARS | Innovation and Entrepreneurship for the 21st Century
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Control Panel */}
+            <div className="lg:col-span-1">
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h2 className="text-xl font-semibold mb-4">Policy Controls</h2>
+                
+                {/* Country Selection */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium mb-2">Select Country</label>
+                  <select
+                    value={selectedCountry}
+                    onChange={(e) => setSelectedCountry(e.target.value)}
+                    disabled={compareMode}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50"
+                  >
+                    {Object.keys(allCountries).map(key => (
+                      <option key={key} value={key}>
+                        {allCountries[key].name} (TFR: {allCountries[key].baseTFR.toFixed(2)})
+                      </option>
+                    ))}
+                  </select>
+                  {compareMode && <p className="text-xs text-gray-500 mt-1">Policies applied to all selected countries for comparison</p>}
+                </div>
+
+                {/* Compare Mode */}
+                <div className="mb-6 flex items-center">
+                  <input
+                    type="checkbox"
+                    id="compare-mode"
+                    checked={compareMode}
+                    onChange={(e) => setCompareMode(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <label htmlFor="compare-mode" className="ml-2 text-sm font-medium text-gray-700">
+                    Compare countries
+                  </label>
+                </div>
+                {compareMode && (
+                  <div className="mb-6 -mt-3 grid grid-cols-2 gap-1">
+                    {Object.keys(allCountries).map(key => (
+                      <label key={key} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={compareCountries.includes(key)}
+                          onChange={(e) => setCompareCountries(e.target.checked
+                            ? Object.keys(allCountries).filter(k => k === key || compareCountries.includes(k))
+                            : compareCountries.filter(k => k !== key))}
+                          className="w-4 h-4 mr-2 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                        />
+                        {allCountries[key].name}
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                {/* Custom Profile Import */}
+                <ProfileImport
+                  onImport={(imported) => {
+                    setCustomCountries({
+                      ...customCountries,
+                      ...Object.fromEntries(imported.map(({ key, profile }) => [key, profile]))
+                    });
+                    setSelectedCountry(imported[0].key);
+                  }}
+                />
+
+                {/* Policy Sliders */}
+                {Object.keys(INTERVENTION_CATEGORIES).map(category => {
+                  const categoryPolicies = Object.keys(activeCatalogue).filter(policy => interventionCategory(activeCatalogue[policy]) === category);
+                  return categoryPolicies.length > 0 && (
+                    <div key={category}>
+                      <h3 className="text-sm font-semibold text-gray-700 mb-3">{INTERVENTION_CATEGORIES[category]}</h3>
+                      {categoryPolicies.map((policy) => (
+                        <div key={policy} className="mb-6">
+                          <div className="flex justify-between items-center mb-2">
+                            <label className="text-sm font-medium">
+                              {activeCatalogue[policy].name}
+                            </label>
+                            <span className="text-sm text-gray-500 bg-blue-100 px-2 py-1 rounded">
+                              {schedule[policy] ? 'Phased' : `${policies[policy] || 0}%`}
+                            </span>
+                          </div>
+                          <div className="relative">
+                            <input
+                              type="range"
+                              min="0"
+                              max="100"
+                              step="5" // Added for more precise control
+                              value={policies[policy] || 0}
+                              disabled={Boolean(schedule[policy])}
+                              onChange={(e) => setPolicies({
+                                ...policies,
+                                [policy]: parseInt(e.target.value)
+                              })}
+                              className="custom-slider w-full cursor-pointer"
+                              style={{
+                                background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${policies[policy] || 0}%, #e5e7eb ${policies[policy] || 0}%, #e5e7eb 100%)`
+                              }}
+                            />
+                          </div>
+                          <p className="text-xs text-gray-600 mt-2">
+                            {activeCatalogue[policy].description}
+                          </p>
+                          <p className="text-xs text-blue-600 mt-1 font-medium">
+                            Cost: {panelMoney.format(activeCatalogue[policy].costPerPoint * (policies[policy] || 0) / 1000000)}/yr
+                            {' '}+ {panelMoney.format(activeCatalogue[policy].capitalCostPerPoint * (policies[policy] || 0) / 1000000)} setup
+                          </p>
+                          <RolloutSchedule
+                            steps={schedule[policy]}
+                            intensity={policies[policy] || 0}
+                            onChange={(steps) => updateSchedule(policy, steps)}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  );
+                })}
+
+                {/* Discount Rate */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium mb-2" htmlFor="discount-rate">Discount Rate (% per year)</label>
+                  <input
+                    id="discount-rate"
+                    type="number"
+                    min="0"
+                    max="20"
+                    step="0.5"
+                    value={discountRate}
+                    onChange={(e) => setDiscountRate(Math.min(20, Math.max(0, Number(e.target.value))))}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+
+                {/* Counterfactual Baseline */}
+                <BaselineControl baseline={baseline} onChange={setBaseline} />
+
+                {/* Fertility Model */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium mb-2" htmlFor="fertility-model">Fertility Model</label>
+                  <select
+                    id="fertility-model"
+                    value={fertilityModel}
+                    onChange={(e) => setFertilityModel(e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.keys(FERTILITY_MODELS).map(model => (
+                      <option key={model} value={model}>{FERTILITY_MODELS[model]}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-600 mt-2">
+                    {fertilityModel === 'structural'
+                      ? 'Interventions lower barriers and TFR responds through each country\'s barrier elasticities.'
+                      : 'Each intervention adds its maxImpact to TFR directly, with diminishing returns.'}
+                  </p>
+                </div>
+
+                {/* Display Currency */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium mb-2" htmlFor="display-currency">Display Currency</label>
+                  <div className="flex gap-2">
+                    <select
+                      id="display-currency"
+                      value={currency}
+                      onChange={(e) => setCurrency(e.target.value)}
+                      className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {DISPLAY_CURRENCIES.map(code => (
+                        <option key={code} value={code}>{code} ({currencyName(code)})</option>
+                      ))}
+                    </select>
+                    <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                      {PRICE_BASES.map(basis => (
+                        <button
+                          key={basis}
+                          onClick={() => setPriceBasis(basis)}
+                          className={`px-3 capitalize ${priceBasis === basis ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                        >
+                          {basis}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-600 mt-2">
+                    Amounts shown in {panelMoney.label}. Nominal figures apply each year&apos;s projected inflation.
+                  </p>
+                </div>
+
+                {/* Preset Scenarios */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium mb-2">Preset AI Scenarios</label>
+                  <div className="grid grid-cols-3 gap-2">
+                    <button
+                      onClick={() => applyPreset(20)}
+                      className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition"
+                    >
+                      Low Investment
+                    </button>
+                    <button
+                      onClick={() => applyPreset(50)}
+                      className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition"
+                    >
+                      Balanced
+                    </button>
+                    <button
+                      onClick={() => applyPreset(100)}
+                      className="bg-gray-200 text-gray-700 py-2 rounded-lg hover:bg-gray-300 transition"
+                    >
+                      Aggressive
+                    </button>
+                  </div>
+                </div>
+
+                {/* Budget Optimizer */}
+                <BudgetOptimizer
+                  country={allCountries[selectedCountry]}
+                  money={panelMoney}
+                  onApply={applyPolicies}
+                  baseline={baseline}
+                  parameters={runParameters(currentState)}
+                  interventions={interventions}
+                />
+
+                {/* Inverse Target Solver */}
+                <TargetSolver
+                  country={allCountries[selectedCountry]}
+                  money={panelMoney}
+                  onApply={applyPolicies}
+                  baseline={baseline}
+                  parameters={runParameters(currentState)}
+                  interventions={interventions}
+                />
+
+                {/* Action Buttons */}
+                <div className="space-y-3">
+                  <button
+                    onClick={() => runSimulation()}
+                    disabled={isSimulating || (compareMode && compareCountries.length === 0)}
+                    className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2 transition-colors"
+                  >
+                    {isSimulating ? (
+                      <>
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                        Simulating...
+                      </>
+                    ) : (
+                      <>
+                        <Play size={18} />
+                        Run Simulation
+                      </>
+                    )}
+                  </button>
+                  <button
+                    onClick={copyShareLink}
+                    className="w-full bg-white text-blue-600 border border-blue-600 py-3 px-4 rounded-lg font-medium hover:bg-blue-50 flex items-center justify-center gap-2 transition-colors"
+                  >
+                    <Link2 size={18} />
+                    {linkCopied ? 'Link Copied' : 'Copy Share Link'}
+                  </button>
+                  <button
+                    onClick={resetSimulation}
+                    className="w-full bg-gray-500 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-600 flex items-center justify-center gap-2 transition-colors"
+                  >
+                    <RotateCcw size={18} />
+                    Reset
+                  </button>
+                </div>
+              </div>
+
+              {/* Scenario Library */}
+              <ScenarioLibrary
+                currentState={{
+                  ...currentState,
+                  customProfiles: Object.fromEntries(
+                    Object.keys(customCountries)
+                      .filter(key => key === selectedCountry || compareCountries.includes(key))
+                      .map(key => [key, customCountries[key]])
+                  )
+                }}
+                countryNames={Object.fromEntries(Object.keys(allCountries).map(key => [key, allCountries[key].name]))}
+                onLoad={loadScenario}
+              />
+
+              {/* Intervention Catalogue */}
+              <InterventionEditor
+                interventions={interventions}
+                fertilityModel={fertilityModel}
+                onChange={updateInterventions}
+                onReset={() => updateInterventions(defaultInterventions)}
+                loadError={storageErrors.catalogue}
+              />
+
+              <CalibrationPanel
+                interventions={interventions}
+                parameterSets={parameterSets}
+                activeSetName={parameterSetName}
+                onSave={saveParameterSet}
+                onSelect={selectParameterSet}
+                onDelete={deleteParameterSet}
+                loadError={storageErrors.parameterSets}
+              />
+
+              {/* Country Overview */}
+              <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+                <h3 className="text-lg font-semibold mb-4">
+                  {compareMode ? 'Countries Overview' : `${allCountries[selectedCountry].name} Overview`}
+                </h3>
+                {compareMode ? (
+                  <div className="grid grid-cols-2 gap-4">
+                    {compareCountries.map(key => (
+                      <div key={key} className="space-y-3">
+                        <h4 className="text-md font-medium">{allCountries[key].name}</h4>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Current TFR:</span>
+                          <span className="font-medium">{allCountries[key].baseTFR}</span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Population:</span>
+                          <span className="font-medium">{allCountries[key].demographics.population}M</span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">GDP per Capita:</span>
+                          <span className="font-medium">
+                            {createMoney({ currency, priceBasis, countryKey: key }).format(allCountries[key].demographics.gdpPerCapita / 1000000)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-600">Female Labor Force:</span>
+                          <span className="font-medium">{allCountries[key].demographics.femaleParticipation}%</span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Current TFR:</span>
+                      <span className="font-medium">{allCountries[selectedCountry].baseTFR}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Population:</span>
+                      <span className="font-medium">{allCountries[selectedCountry].demographics.population}M</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">GDP per Capita:</span>
+                      <span className="font-medium">{panelMoney.format(allCountries[selectedCountry].demographics.gdpPerCapita / 1000000)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Female Labor Force:</span>
+                      <span className="font-medium">{allCountries[selectedCountry].demographics.femaleParticipation}%</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Mothers Retained / Wage Penalty:</span>
+                      <span className="font-medium">
+                        {motherhoodProfile(allCountries[selectedCountry]).retention}% / {motherhoodProfile(allCountries[selectedCountry]).wagePenalty}%
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-400 pt-2 border-t border-gray-100">
+                      Data {allCountries[selectedCountry].meta.year} (v{allCountries[selectedCountry].meta.dataVersion}): {allCountries[selectedCountry].meta.sources.join('; ')}
+                    </p>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Results Panel */}
+            <div className="lg:col-span-2 space-y-6" ref={resultsRef}>
+              {simulationError && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                  Simulation failed: {simulationError}
+                </div>
+              )}
+              {Object.keys(results).length === 0 ? (
+                <div className="bg-white rounded-lg shadow-lg p-12 text-center">
+                  <div className="text-gray-400 mb-4">
+                    <TrendingUp size={64} className="mx-auto" />
+                  </div>
+                  <h3 className="text-xl font-semibold text-gray-600 mb-2">
+                    Run Simulation to See Results
+                  </h3>
+                  <p className="text-gray-500">
+                    Adjust the policy parameters and click "Run Simulation" to see the projected impact on fertility rates and economic outcomes.
+                  </p>
+                </div>
+              ) : (
+                <>
+                  {/* Policy Brief */}
+                  <div className="bg-white rounded-lg shadow-lg px-4 py-3 flex flex-wrap justify-between items-center gap-2">
+                    <p className="text-sm text-gray-600">Print-ready PDF brief with charts, costs and methodology</p>
+                    <button
+                      onClick={generateReport}
+                      disabled={isGeneratingReport}
+                      className="bg-indigo-600 text-white py-2 px-4 rounded-lg font-medium hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-2 transition-colors"
+                    >
+                      <FileText size={16} />
+                      {isGeneratingReport ? 'Generating...' : 'Generate Report'}
+                    </button>
+                  </div>
+
+                  {Object.keys(results).length === 1 ? (
+                    <div className="space-y-6" data-report-country={Object.keys(results)[0]}>
+                      <ResultsDisplay
+                        res={results[Object.keys(results)[0]]}
+                        countryKey={Object.keys(results)[0]}
+                        country={allCountries[Object.keys(results)[0]]}
+                      />
+                      <SensitivityAnalysis
+                        key={Object.keys(results)[0]}
+                        country={allCountries[Object.keys(results)[0]]}
+                        policies={results[Object.keys(results)[0]].policies}
+                        schedule={results[Object.keys(results)[0]].schedule}
+                        discountRate={results[Object.keys(results)[0]].costBenefit.discountRate}
+                        baseline={results[Object.keys(results)[0]].baseline}
+                        parameters={results[Object.keys(results)[0]].parameters}
+                        interventions={results[Object.keys(results)[0]].interventions}
+                      />
+                      <BacktestPanel key={`backtest-${Object.keys(results)[0]}`} country={allCountries[Object.keys(results)[0]]} />
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      {Object.keys(results).map(key => (
+                        <div key={key} className="space-y-6" data-report-country={key}>
+                          <h2 className="text-xl font-semibold text-center text-gray-800">
+                            {allCountries[key].name} Results
+                          </h2>
+                          <ResultsDisplay
+                            res={results[key]}
+                            countryKey={key}
+                            country={allCountries[key]}
+                            isCompact={true}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* Footer */}
+          <div className="text-center mt-8 p-6 bg-white rounded-lg shadow-lg">
+            <p className="text-sm text-gray-600 mb-2">
+              <strong>About this Research:</strong> This interactive simulator demonstrates our AI-driven policy framework 
+              for addressing demographic challenges in East Asia. Based on quantitative analysis of socio-economic barriers 
+              and predictive modeling using OECD data.
+            </p>
+            <p className="text-sm text-gray-600">
+              <strong>Disclaimer:</strong> This is a research prototype for demonstration purposes. 
+              Actual policy impacts may vary based on numerous factors not captured in this simplified model.
+            </p>
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <p className="text-sm text-gray-500">
+                <strong>Research Team:</strong> Tran Thu Hang (Hannah), Dedy E Lingga, 楊哲航 (Lucas), 
+                Phan Viet Anh (Frank), Vu Huong Linh (Lylla)
+              </p>
+              <p className="text-xs text-gray-400 mt-2">
+                Group 88 - STARS | Innovation and Entrepreneurship for the 21st Century AI-Driven Digital Economy
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
 export default FertilityPolicySimulator;
\ No newline at end of file